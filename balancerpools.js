@@ -0,0 +1,230 @@
+// balancerpools.js — Balancer V2 weighted & stable pools (ESM + Ethers v6)
+// Reads pool state through the Vault and quotes swaps with Balancer's
+// WeightedMath / StableMath so multi-token pools can join the token graph.
+
+import { ethers } from 'ethers';
+
+// ---------- ABIs ----------
+export const BALANCER_VAULT_ABI = [
+  'event PoolRegistered(bytes32 indexed poolId, address indexed poolAddress, uint8 specialization)',
+  'event Swap(bytes32 indexed poolId, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut)',
+  'function getPoolTokens(bytes32 poolId) external view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)'
+];
+
+const BALANCER_POOL_ABI = [
+  'function getSwapFeePercentage() view returns (uint256)',
+  'function getNormalizedWeights() view returns (uint256[])',
+  'function getAmplificationParameter() view returns (uint256 value, bool isUpdating, uint256 precision)',
+  'function getScalingFactors() view returns (uint256[])'
+];
+
+const ERC20_DECIMALS_ABI = ['function decimals() view returns (uint8)'];
+
+export const BALANCER_VAULT_IFACE = new ethers.Interface(BALANCER_VAULT_ABI);
+export const POOL_REGISTERED_TOPIC = BALANCER_VAULT_IFACE.getEvent('PoolRegistered').topicHash;
+// Pools do not log their own swaps: the Vault emits Swap for all of them, keyed by poolId
+export const BALANCER_SWAP_TOPIC = BALANCER_VAULT_IFACE.getEvent('Swap').topicHash;
+
+const ONE = 10n ** 18n;
+const AMP_PRECISION = 1000n;
+
+// ---------- STATE ----------
+
+/**
+ * Decode a Vault PoolRegistered log.
+ * @returns {{ poolId: string, address: string, specialization: number }}
+ */
+export function parsePoolRegistered(log) {
+  const { args } = BALANCER_VAULT_IFACE.parseLog(log);
+  return { poolId: args.poolId, address: args.poolAddress, specialization: Number(args.specialization) };
+}
+
+/**
+ * Read tokens, balances, swap fee and weights (weighted) or amp (stable).
+ * Returns null for pool types we cannot price (linear, boosted, managed, ...).
+ */
+export async function getBalancerPoolState(provider, vaultAddr, meta) {
+  const vault = new ethers.Contract(vaultAddr, BALANCER_VAULT_ABI, provider);
+  const pool = new ethers.Contract(meta.address, BALANCER_POOL_ABI, provider);
+
+  const [{ tokens, balances }, swapFee] = await Promise.all([
+    vault.getPoolTokens(meta.poolId),
+    pool.getSwapFeePercentage()
+  ]);
+
+  const state = {
+    ...meta,
+    tokens: [...tokens],
+    balances: [...balances],
+    swapFee,
+    feeBps: Number(swapFee) / 1e14 // 1e18 = 100%
+  };
+
+  const weights = await pool.getNormalizedWeights().catch(() => null);
+  if (weights) {
+    state.poolType = 'weighted';
+    state.weights = [...weights];
+  } else {
+    const amp = await pool.getAmplificationParameter().catch(() => null);
+    if (!amp) return null;
+    state.poolType = 'stable';
+    state.amp = amp[0];
+    state.ampPrecision = amp[2] || AMP_PRECISION;
+    const factors = await pool.getScalingFactors().catch(() => null);
+    // Older stable pools have no getScalingFactors(); build them from each token's decimals
+    state.scalingFactors = factors ? [...factors] : await scalingFactorsFromDecimals(provider, state.tokens);
+    if (!state.scalingFactors) return null;
+  }
+
+  // Composable stable pools register their own BPT as a token; it is not a swappable leg
+  const bptIndex = state.tokens.findIndex(t => t.toLowerCase() === meta.address.toLowerCase());
+  if (bptIndex >= 0) {
+    for (const key of ['tokens', 'balances', 'weights', 'scalingFactors']) {
+      if (state[key]) state[key].splice(bptIndex, 1);
+    }
+  }
+
+  return state.tokens.length >= 2 ? state : null;
+}
+
+// Balancer's own rule: FixedPoint.ONE * 10^(18 - decimals); null if any decimals() is unreadable
+async function scalingFactorsFromDecimals(provider, tokens) {
+  const decimals = await Promise.all(tokens.map(t =>
+    new ethers.Contract(t, ERC20_DECIMALS_ABI, provider).decimals().then(Number).catch(() => null)));
+  if (decimals.some(d => d == null || d > 18)) return null;
+  return decimals.map(d => ONE * 10n ** BigInt(18 - d));
+}
+
+// ---------- WEIGHTED MATH ----------
+function weightedOutGivenIn(state, i, j, amountIn) {
+  const bi = Number(state.balances[i]);
+  const bo = Number(state.balances[j]);
+  const wi = Number(state.weights[i]);
+  const wo = Number(state.weights[j]);
+  const inAfterFee = Number(amountIn) * (1 - Number(state.swapFee) / 1e18);
+  if (!(bi > 0 && bo > 0 && inAfterFee > 0)) return 0n;
+  const out = bo * (1 - Math.pow(bi / (bi + inAfterFee), wi / wo));
+  return out > 0 ? BigInt(Math.floor(out)) : 0n;
+}
+
+// ---------- STABLE MATH (StableMath.sol, BigInt) ----------
+function absDiff(a, b) {
+  return a > b ? a - b : b - a;
+}
+
+function calculateInvariant(amp, balances, ampPrecision) {
+  const n = BigInt(balances.length);
+  const sum = balances.reduce((s, x) => s + x, 0n);
+  if (sum === 0n) return 0n;
+
+  const ampTimesTotal = amp * n;
+  let inv = sum;
+  for (let k = 0; k < 255; k++) {
+    let dP = inv;
+    for (const x of balances) dP = (dP * inv) / (x * n);
+    const prev = inv;
+    inv = (((ampTimesTotal * sum) / ampPrecision + dP * n) * inv) /
+          (((ampTimesTotal - ampPrecision) * inv) / ampPrecision + (n + 1n) * dP);
+    if (absDiff(inv, prev) <= 1n) return inv;
+  }
+  throw new Error('StableMath: invariant did not converge');
+}
+
+function balanceGivenInvariant(amp, balances, inv, index, ampPrecision) {
+  const n = BigInt(balances.length);
+  const ampTimesTotal = amp * n;
+
+  let sum = balances[0];
+  let pD = balances[0] * n;
+  for (let k = 1; k < balances.length; k++) {
+    pD = (pD * balances[k] * n) / inv;
+    sum += balances[k];
+  }
+  sum -= balances[index];
+
+  const inv2 = inv * inv;
+  const c = ((inv2 * ampPrecision) / (ampTimesTotal * pD)) * balances[index];
+  const b = sum + (inv * ampPrecision) / ampTimesTotal;
+
+  let y = (inv2 + c) / (inv + b);
+  for (let k = 0; k < 255; k++) {
+    const prev = y;
+    y = (y * y + c) / (y * 2n + b - inv);
+    if (absDiff(y, prev) <= 1n) return y;
+  }
+  throw new Error('StableMath: balance did not converge');
+}
+
+function stableOutGivenIn(state, i, j, amountIn) {
+  const sf = state.scalingFactors;
+  const balances = state.balances.map((b, k) => (b * sf[k]) / ONE);
+  const inAfterFee = amountIn - (amountIn * state.swapFee) / ONE;
+  const inScaled = (inAfterFee * sf[i]) / ONE;
+  if (inScaled <= 0n || balances.some(b => b <= 0n)) return 0n;
+
+  const inv = calculateInvariant(state.amp, balances, state.ampPrecision);
+  balances[i] += inScaled;
+  const finalOut = balanceGivenInvariant(state.amp, balances, inv, j, state.ampPrecision);
+  const outScaled = balances[j] - finalOut - 1n;
+  return outScaled > 0n ? (outScaled * ONE) / sf[j] : 0n;
+}
+
+// ---------- QUOTES ----------
+
+/**
+ * Exact-in quote for token index i → token index j (raw token units, fee included).
+ * @returns {bigint}
+ */
+export function balancerOutGivenIn(state, i, j, amountIn) {
+  const amt = BigInt(amountIn);
+  if (amt <= 0n) return 0n;
+  try {
+    return state.poolType === 'weighted'
+      ? weightedOutGivenIn(state, i, j, amt)
+      : stableOutGivenIn(state, i, j, amt);
+  } catch {
+    return 0n;
+  }
+}
+
+/**
+ * Marginal price ignoring fees, as raw units of token i per raw unit of token j
+ * (same orientation as poolfetcher's calcPrice(reserve0, reserve1)).
+ */
+export function balancerSpotPrice(state, i, j) {
+  if (state.poolType === 'weighted') {
+    const bi = Number(state.balances[i]) / Number(state.weights[i]);
+    const bj = Number(state.balances[j]) / Number(state.weights[j]);
+    return bi > 0 && bj > 0 ? bi / bj : 0;
+  }
+  // Stable pools: probe with a tiny trade (1e-6 of the balance) and no fee
+  const probe = state.balances[j] / 1_000_000n;
+  if (probe <= 0n) return 0;
+  const out = stableOutGivenIn({ ...state, swapFee: 0n }, j, i, probe);
+  return out > 0n ? Number(out) / Number(probe) : 0;
+}
+
+/**
+ * Expand an N-token pool into pairwise leg records for the token graph.
+ * Legs share the same `state` object, so refreshing one refreshes them all.
+ */
+export function balancerPoolLegs(dex, state) {
+  const legs = [];
+  for (let i = 0; i < state.tokens.length; i++) {
+    for (let j = i + 1; j < state.tokens.length; j++) {
+      legs.push({
+        dex,
+        kind: 'balancer',
+        pairAddr: state.address,
+        poolId: state.poolId,
+        token0: state.tokens[i],
+        token1: state.tokens[j],
+        index0: i,
+        index1: j,
+        get feeBps() { return state.feeBps; },
+        state
+      });
+    }
+  }
+  return legs;
+}
@@ -1,37 +1,14 @@
 // check_tri_pool.js
-import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { listenTelegramAlerts, sendTelegramAlert } from "./telegramalert.js";
+import { removeOpportunity } from "./opportunitystore.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const TRI_POOL_FILE = path.join(__dirname, "tri_pool.json");
 
-// Read JSON → always return an array of trades
-function loadTriPool() {
-  try {
-    if (!fs.existsSync(TRI_POOL_FILE)) return [];
-    const parsed = JSON.parse(fs.readFileSync(TRI_POOL_FILE, "utf8"));
-    if (Array.isArray(parsed)) return parsed;
-    if (parsed && Array.isArray(parsed.trades)) return parsed.trades;
-    return [];
-  } catch (err) {
-    console.error("[TriPool] Failed to read JSON:", err.message);
-    return [];
-  }
-}
-
-// Save array back. If original file had {trades:[]}, we still write array (simpler).
-function saveTriPool(pool) {
-  try {
-    fs.writeFileSync(TRI_POOL_FILE, JSON.stringify(pool, null, 2));
-  } catch (err) {
-    console.error("[TriPool] Failed to save JSON:", err.message);
-  }
-}
-
 function normalizeId(x) {
   // Support id / tradeId, number/string
   if (!x) return null;
@@ -62,17 +39,8 @@ function removeFromTriPool(typeRaw, tradeIdRaw) {
       return;
     }
 
-    let pool = loadTriPool();
-    const before = pool.length;
-
-    // Support both id keys in file
-    pool = pool.filter(item => {
-      const itemId = normalizeId(item);
-      return itemId !== tradeId;
-    });
-
-    if (pool.length !== before) {
-      saveTriPool(pool);
+    // Records are keyed by opportunitystore.js ids
+    if (removeOpportunity(TRI_POOL_FILE, tradeId)) {
       console.log(`[TriPool] Removed ${type || "info"} tradeId: ${tradeId}`);
       // fire-and-forget; if your send function returns a promise it's fine to not await
       try { sendTelegramAlert(`${getEmoji(type)} ${cap(type) || "Info"} trade ${tradeId} removed from tri_pool.json`); } catch {}
@@ -1,40 +1,13 @@
-import fs from "fs";
 import path from "path";
 import { listenTelegramAlerts, sendTelegramAlert } from "./telegramalert.js";
+import { removeOpportunity } from "./opportunitystore.js";
 
 const DIRECT_POOL_FILE = path.join(process.cwd(), "direct_pool.json");
 
-// Helper: load JSON safely
-function loadDirectPool() {
-  try {
-    if (fs.existsSync(DIRECT_POOL_FILE)) {
-      return JSON.parse(fs.readFileSync(DIRECT_POOL_FILE, "utf8"));
-    }
-    return [];
-  } catch (err) {
-    console.error("[DirectPool] Failed to read JSON:", err.message);
-    return [];
-  }
-}
-
-// Helper: save JSON safely
-function saveDirectPool(pool) {
-  try {
-    fs.writeFileSync(DIRECT_POOL_FILE, JSON.stringify(pool, null, 2));
-  } catch (err) {
-    console.error("[DirectPool] Failed to save JSON:", err.message);
-  }
-}
-
-// Delete tradeId from direct_pool.json
+// Delete tradeId from direct_pool.json (records are keyed by opportunitystore.js ids)
 export function removeFromDirectPool(type, tradeId) {
   try {
-    let pool = loadDirectPool();
-    const before = pool.length;
-    pool = pool.filter(item => item.id !== tradeId);
-
-    if (pool.length !== before) {
-      saveDirectPool(pool);
+    if (removeOpportunity(DIRECT_POOL_FILE, tradeId)) {
       console.log(`[DirectPool] Removed ${type} tradeId: ${tradeId}`);
       sendTelegramAlert(`${getEmoji(type)} ${capitalize(type)} trade ${tradeId} removed from direct_pool.json`);
     } else {
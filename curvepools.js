@@ -0,0 +1,210 @@
+// curvepools.js — Curve StableSwap pools (ESM + Ethers v6)
+// Loads pools from a Curve registry, reads balances / A / fee and quotes
+// swaps with the StableSwap invariant (get_D / get_y / get_dy, BigInt).
+
+import { ethers } from 'ethers';
+
+// ---------- ABIs ----------
+const CURVE_REGISTRY_ABI = [
+  'function pool_count() view returns (uint256)',
+  'function pool_list(uint256) view returns (address)',
+  'function get_coins(address pool) view returns (address[8])',
+  'function get_underlying_coins(address pool) view returns (address[8])',
+  'function get_balances(address pool) view returns (uint256[8])',
+  'function get_underlying_balances(address pool) view returns (uint256[8])',
+  'function get_decimals(address pool) view returns (uint256[8])',
+  'function get_A(address pool) view returns (uint256)',
+  'function get_fees(address pool) view returns (uint256[2])'
+];
+
+const CURVE_POOL_IFACE = new ethers.Interface([
+  'event TokenExchange(address indexed buyer, int128 sold_id, uint256 tokens_sold, int128 bought_id, uint256 tokens_bought)',
+  'event TokenExchangeUnderlying(address indexed buyer, int128 sold_id, uint256 tokens_sold, int128 bought_id, uint256 tokens_bought)'
+]);
+
+/** Swap logs emitted by the pool itself (exchange / exchange_underlying). */
+export const CURVE_SWAP_TOPICS = ['TokenExchange', 'TokenExchangeUnderlying']
+  .map(name => CURVE_POOL_IFACE.getEvent(name).topicHash);
+
+const FEE_DENOMINATOR = 10n ** 10n;
+const PRECISION = 10n ** 18n;
+
+// ---------- STATE ----------
+
+/**
+ * Enumerate every pool address listed in the registry.
+ * @returns {Promise<string[]>}
+ */
+export async function fetchCurvePools(provider, registryAddr) {
+  const registry = new ethers.Contract(registryAddr, CURVE_REGISTRY_ABI, provider);
+  const count = Number(await registry.pool_count());
+  const pools = [];
+  for (let i = 0; i < count; i++) {
+    try {
+      pools.push(await registry.pool_list(i));
+    } catch (err) {
+      console.error('Error fetching Curve pool index', i, err.message);
+    }
+  }
+  return pools;
+}
+
+/**
+ * Read coins, balances, decimals, A and fee for one pool.
+ * Lending pools whose wrapped coins redeem 1:1 (e.g. Aave aTokens) also expose
+ * their underlying coins, since exchange_underlying prices identically.
+ */
+export async function getCurvePoolState(provider, registryAddr, poolAddr) {
+  const registry = new ethers.Contract(registryAddr, CURVE_REGISTRY_ABI, provider);
+  const [coinsRaw, balancesRaw, decimalsRaw, A, fees, underlyingRaw, underlyingBalancesRaw] = await Promise.all([
+    registry.get_coins(poolAddr),
+    registry.get_balances(poolAddr),
+    registry.get_decimals(poolAddr),
+    registry.get_A(poolAddr),
+    registry.get_fees(poolAddr),
+    registry.get_underlying_coins(poolAddr).catch(() => null),
+    registry.get_underlying_balances(poolAddr).catch(() => null)
+  ]);
+
+  const n = [...coinsRaw].findIndex(c => c === ethers.ZeroAddress);
+  const nCoins = n === -1 ? coinsRaw.length : n;
+  if (nCoins < 2 || A === 0n) return null;
+
+  const coins = [...coinsRaw].slice(0, nCoins);
+  const balances = [...balancesRaw].slice(0, nCoins);
+  const decimals = [...decimalsRaw].slice(0, nCoins).map(Number);
+  const fee = fees[0];
+
+  let underlyingCoins = null;
+  if (underlyingRaw && underlyingBalancesRaw) {
+    const uCoins = [...underlyingRaw].slice(0, nCoins);
+    const uBalances = [...underlyingBalancesRaw].slice(0, nCoins);
+    const differs = uCoins.some((c, k) => c.toLowerCase() !== coins[k].toLowerCase());
+    const oneToOne = uBalances.every((b, k) => b === balances[k]);
+    if (differs && oneToOne && !uCoins.includes(ethers.ZeroAddress)) underlyingCoins = uCoins;
+  }
+
+  return {
+    address: poolAddr,
+    coins,
+    underlyingCoins,
+    balances,
+    decimals,
+    // rates bring every coin to 18 decimals (same as the pool's RATES constant)
+    rates: decimals.map(d => PRECISION * 10n ** BigInt(18 - d)),
+    A,
+    fee,
+    feeBps: Number(fee) / 1e6 // 1e10 = 100%
+  };
+}
+
+// ---------- STABLESWAP MATH ----------
+function absDiff(a, b) {
+  return a > b ? a - b : b - a;
+}
+
+function getD(xp, amp) {
+  const N = BigInt(xp.length);
+  const S = xp.reduce((s, x) => s + x, 0n);
+  if (S === 0n) return 0n;
+
+  let D = S;
+  const Ann = amp * N;
+  for (let k = 0; k < 255; k++) {
+    let D_P = D;
+    for (const x of xp) D_P = (D_P * D) / (x * N);
+    const Dprev = D;
+    D = ((Ann * S + D_P * N) * D) / ((Ann - 1n) * D + (N + 1n) * D_P);
+    if (absDiff(D, Dprev) <= 1n) return D;
+  }
+  throw new Error('StableSwap: D did not converge');
+}
+
+function getY(i, j, x, xp, amp) {
+  const N = BigInt(xp.length);
+  const D = getD(xp, amp);
+  const Ann = amp * N;
+
+  let c = D;
+  let S_ = 0n;
+  for (let k = 0; k < xp.length; k++) {
+    if (k === j) continue;
+    const _x = k === i ? x : xp[k];
+    S_ += _x;
+    c = (c * D) / (_x * N);
+  }
+  c = (c * D) / (Ann * N);
+  const b = S_ + D / Ann;
+
+  let y = D;
+  for (let k = 0; k < 255; k++) {
+    const yPrev = y;
+    y = (y * y + c) / (2n * y + b - D);
+    if (absDiff(y, yPrev) <= 1n) return y;
+  }
+  throw new Error('StableSwap: y did not converge');
+}
+
+// ---------- QUOTES ----------
+
+/**
+ * Exact-in quote (pool.get_dy) for coin index i → j in raw token units, fee included.
+ * @returns {bigint}
+ */
+export function curveGetDy(state, i, j, dx, withFee = true) {
+  const amt = BigInt(dx);
+  if (amt <= 0n) return 0n;
+  try {
+    const xp = state.balances.map((b, k) => (b * state.rates[k]) / PRECISION);
+    if (xp.some(x => x <= 0n)) return 0n;
+    const x = xp[i] + (amt * state.rates[i]) / PRECISION;
+    const y = getY(i, j, x, xp, state.A);
+    const dy = ((xp[j] - y - 1n) * PRECISION) / state.rates[j];
+    if (dy <= 0n) return 0n;
+    return withFee ? dy - (state.fee * dy) / FEE_DENOMINATOR : dy;
+  } catch {
+    return 0n;
+  }
+}
+
+/**
+ * Marginal price ignoring fees, as raw units of coin i per raw unit of coin j
+ * (same orientation as poolfetcher's calcPrice(reserve0, reserve1)).
+ */
+export function curveSpotPrice(state, i, j) {
+  // Probe with a tiny trade (1e-6 of the balance)
+  const probe = state.balances[j] / 1_000_000n;
+  if (probe <= 0n) return 0;
+  const out = curveGetDy(state, j, i, probe, false);
+  return out > 0n ? Number(out) / Number(probe) : 0;
+}
+
+/**
+ * Expand a pool into pairwise leg records for the token graph (wrapped coins,
+ * plus underlying coins where they trade 1:1). Legs share the same `state`.
+ */
+export function curvePoolLegs(dex, state) {
+  const legs = [];
+  const sets = [{ coins: state.coins, underlying: false }];
+  if (state.underlyingCoins) sets.push({ coins: state.underlyingCoins, underlying: true });
+
+  for (const { coins, underlying } of sets) {
+    for (let i = 0; i < coins.length; i++) {
+      for (let j = i + 1; j < coins.length; j++) {
+        legs.push({
+          dex,
+          kind: 'curve',
+          pairAddr: state.address,
+          token0: coins[i],
+          token1: coins[j],
+          index0: i,
+          index1: j,
+          underlying,
+          get feeBps() { return state.feeBps; },
+          state
+        });
+      }
+    }
+  }
+  return legs;
+}
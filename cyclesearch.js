@@ -0,0 +1,143 @@
+// cyclesearch.js — N-hop arbitrage cycle search over a token graph (ESM)
+// Tokens are vertices; every pool adds one directed edge per swap direction with
+// weight -log(rate · (1 - fee)). A cycle whose weights sum below zero returns more
+// than it started with at spot prices, after fees.
+
+const EPSILON = 1e-9; // ignore float noise around a zero-weight cycle
+const HOP_LIMIT_MIN = 2;
+const HOP_LIMIT_MAX = 5;
+
+const lower = (a) => a.toLowerCase();
+
+/**
+ * @param {{ rate: (pool, tokenIn) => number, feeBps: (pool) => number }} pricing
+ *   rate: whole units of the other token per whole tokenIn (spot, before fees)
+ */
+export function createTokenGraph({ rate, feeBps }) {
+  // token → tokenOut → [{ pool, tokenIn, tokenOut }] (parallel pools kept side by side)
+  const adj = new Map();
+  // pairAddr → pools sharing it (multi-token legs share state, so they go stale together)
+  const poolsByAddr = new Map();
+  // pool → { [tokenIn]: weight }, cleared when a pool's state changes
+  const weights = new Map();
+
+  function addEdge(pool, tokenIn, tokenOut) {
+    if (!adj.has(lower(tokenIn))) adj.set(lower(tokenIn), new Map());
+    const outs = adj.get(lower(tokenIn));
+    if (!outs.has(lower(tokenOut))) outs.set(lower(tokenOut), []);
+    outs.get(lower(tokenOut)).push({ pool, tokenIn, tokenOut });
+  }
+
+  function weightOf(edge) {
+    let w = weights.get(edge.pool);
+    if (!w) weights.set(edge.pool, (w = {}));
+    const key = lower(edge.tokenIn);
+    if (!(key in w)) {
+      const r = rate(edge.pool, edge.tokenIn) * (1 - feeBps(edge.pool) / 10_000);
+      w[key] = r > 0 && Number.isFinite(r) ? -Math.log(r) : Infinity;
+    }
+    return w[key];
+  }
+
+  // Cheapest pool for each tokenIn → tokenOut
+  function bestEdge(edges) {
+    let best = null;
+    let bestW = Infinity;
+    for (const e of edges) {
+      const w = weightOf(e);
+      if (w < bestW) { best = e; bestW = w; }
+    }
+    return best ? { ...best, w: bestW } : null;
+  }
+
+  // Rotation-independent identity of a cycle: same pools in the same directions
+  function cycleKey(hops) {
+    const parts = hops.map(h => `${lower(h.pool.pairAddr)}:${lower(h.tokenIn)}`);
+    let min = 0;
+    for (let i = 1; i < parts.length; i++) if (parts[i] < parts[min]) min = i;
+    return [...parts.slice(min), ...parts.slice(0, min)].join('>');
+  }
+
+  return {
+    addPool(pool) {
+      const key = lower(pool.pairAddr);
+      if (!poolsByAddr.has(key)) poolsByAddr.set(key, []);
+      poolsByAddr.get(key).push(pool);
+      addEdge(pool, pool.token0, pool.token1);
+      addEdge(pool, pool.token1, pool.token0);
+    },
+
+    // Call after a pool's reserves / state changed
+    touch(pool) {
+      for (const p of poolsByAddr.get(lower(pool.pairAddr)) || [pool]) weights.delete(p);
+    },
+
+    /**
+     * Hop-bounded Bellman-Ford from each base token: layer k holds the cheapest
+     * simple k-hop path to every token, and each layer is tested for an edge back
+     * to the base that closes a negative cycle. With mustIncludePool a token keeps
+     * two paths, the cheapest overall and the cheapest through a required pool, and
+     * a required pool's edge is tried even when a parallel pool is cheaper, so a
+     * cycle through it is not lost to a cheaper path that avoids it.
+     * @param {string[]} baseTokens  start/end tokens (e.g. flash-loanable assets), in priority order
+     * @param {{ minHops?: number, maxHops?: number, mustIncludePool?: string|string[] }} [opts]  maxHops is clamped to 2–5;
+     *   mustIncludePool keeps only cycles through (any of) the given pool address(es)
+     * @returns {{ tokens: string[], hops: { pool, tokenIn, tokenOut }[], weight: number }[]}
+     *   deduplicated across rotations; a cycle through several bases is reported from the first
+     */
+    findCycles(baseTokens, { minHops = 2, maxHops = 3, mustIncludePool } = {}) {
+      maxHops = Math.min(HOP_LIMIT_MAX, Math.max(HOP_LIMIT_MIN, maxHops));
+      const seen = new Set();
+      const cycles = [];
+      const mustInclude = mustIncludePool && new Set([mustIncludePool].flat().map(lower));
+      const required = (pool) => !mustInclude || mustInclude.has(lower(pool.pairAddr));
+
+      // Cheapest usable pool for u → v, plus the cheapest required one while the path has none
+      const candidates = (edges, path) => {
+        const usable = edges.filter(e => !path.hops.some(h => h.pool.pairAddr === e.pool.pairAddr));
+        const best = bestEdge(usable);
+        if (path.via) return best ? [best] : [];
+        const req = bestEdge(usable.filter(e => required(e.pool)));
+        return [best, req].filter((e, i, all) => e && all.findIndex(o => o?.pool === e.pool) === i);
+      };
+
+      for (const base of baseTokens) {
+        const start = lower(base);
+        if (!adj.has(start)) continue;
+
+        // token|via → path; via: the path already runs through a required pool
+        let layer = new Map([[`${start}|${!mustInclude}`, { v: start, via: !mustInclude, w: 0, hops: [], tokens: [start] }]]);
+        for (let k = 1; k <= maxHops && layer.size; k++) {
+          const next = new Map();
+          for (const path of layer.values()) {
+            for (const [v, edges] of adj.get(path.v) || []) {
+              for (const edge of candidates(edges, path)) {
+                if (edge.w === Infinity) continue;
+                const w = path.w + edge.w;
+                const via = path.via || required(edge.pool);
+                const hops = [...path.hops, { pool: edge.pool, tokenIn: edge.tokenIn, tokenOut: edge.tokenOut }];
+
+                if (v === start) {
+                  if (k < minHops || w >= -EPSILON || !via) continue;
+                  const key = cycleKey(hops);
+                  if (seen.has(key)) continue;
+                  seen.add(key);
+                  cycles.push({ tokens: [hops[0].tokenIn, ...hops.map(h => h.tokenOut)], hops, weight: w });
+                  continue;
+                }
+
+                if (k === maxHops || path.tokens.includes(v)) continue;
+                const slot = `${v}|${via}`;
+                const cur = next.get(slot);
+                if (!cur || w < cur.w) next.set(slot, { v, via, w, hops, tokens: [...path.tokens, v] });
+              }
+            }
+          }
+          layer = next;
+        }
+      }
+
+      return cycles.sort((a, b) => a.weight - b.weight);
+    }
+  };
+}
@@ -89,6 +89,30 @@ export function startReadWatchdog(intervalMs = 1500, threshold = 3) {
   }, intervalMs);
 }
 
+// ---------- HTTP BLOCK FEED ----------
+// Poll `provider` for new blocks every intervalMs and call onBlock(blockNumber) once per new
+// block; a slow handler is never re-entered. Returns a stop() function.
+export function startBlockFeed(provider, intervalMs, onBlock) {
+  let last = null;
+  let busy = false;
+  const timer = setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      const bn = await provider.getBlockNumber();
+      if (last === null || bn > last) {
+        last = bn;
+        await onBlock(bn);
+      }
+    } catch (err) {
+      console.warn('Block feed poll failed:', err?.message || err);
+    } finally {
+      busy = false;
+    }
+  }, intervalMs);
+  return () => clearInterval(timer);
+}
+
 // ---------- HARDCODED WRITE RPCs ----------
 const WRITE_RPC_URLS = [
   'https://polygon-rpc.com',
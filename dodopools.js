@@ -0,0 +1,219 @@
+// dodopools.js — DODO V2 PMM pools (DVM / DSP / DPP) venue adapter (ESM + Ethers v6)
+// Discovers pools from the DODO V2 factories, reads getPMMStateForCall() and
+// quotes with DODO's PMM curve (PMMPricing.sol / DODOMath.sol, BigInt).
+
+import { ethers } from 'ethers';
+
+// ---------- ABIs ----------
+const DODO_FACTORY_ABI = [
+  'event NewDVM(address baseToken, address quoteToken, address creator, address dvm)',
+  'event NewDSP(address baseToken, address quoteToken, address creator, address DSP)',
+  'event NewDPP(address baseToken, address quoteToken, address creator, address dpp)'
+];
+
+const DODO_POOL_ABI = [
+  'event DODOSwap(address fromToken, address toToken, uint256 fromAmount, uint256 toAmount, address trader, address receiver)',
+  'function getPMMStateForCall() view returns (uint256 i, uint256 K, uint256 B, uint256 Q, uint256 B0, uint256 Q0, uint256 R)',
+  'function getUserFeeRate(address user) view returns (uint256 lpFeeRate, uint256 mtFeeRate)'
+];
+
+const FACTORY_IFACE = new ethers.Interface(DODO_FACTORY_ABI);
+const POOL_IFACE = new ethers.Interface(DODO_POOL_ABI);
+const NEW_POOL_TOPICS = ['NewDVM', 'NewDSP', 'NewDPP'].map(e => FACTORY_IFACE.getEvent(e).topicHash);
+
+const ONE = 10n ** 18n;
+const R_ONE = 0n;
+const R_ABOVE_ONE = 1n;
+
+// ---------- DECIMAL MATH ----------
+const mulFloor = (a, b) => (a * b) / ONE;
+const divCeil = (a, b) => {
+  const q = (a * ONE) / b;
+  return (a * ONE) % b === 0n ? q : q + 1n;
+};
+const reciprocalFloor = (a) => (ONE * ONE) / a;
+
+function sqrt(x) {
+  if (x < 2n) return x;
+  let z = x;
+  let y = (x + 1n) / 2n;
+  while (y < z) {
+    z = y;
+    y = (x / y + y) / 2n;
+  }
+  return z;
+}
+
+// ---------- PMM CURVE ----------
+// Integrate the curve from V1 to V2 (V0 is the target): fairAmount * (1 - k + k * V0^2 / (V1 * V2))
+function generalIntegrate(V0, V1, V2, i, k) {
+  if (V0 === 0n) throw new Error('PMM: target is zero');
+  const fairAmount = i * (V1 - V2);
+  if (k === 0n) return fairAmount / ONE;
+  const V0V0V1V2 = (((V0 * V0) / V1) * ONE) / V2;
+  const penalty = mulFloor(k, V0V0V1V2);
+  return (((ONE - k) + penalty) * fairAmount) / ONE / ONE;
+}
+
+// Solve the PMM quadratic for a trade of size delta starting at V1 (target V0)
+function solveQuadraticFunctionForTrade(V0, V1, delta, i, k) {
+  if (V0 === 0n) throw new Error('PMM: target is zero');
+  if (delta === 0n) return 0n;
+
+  if (k === 0n) {
+    const out = mulFloor(i, delta);
+    return out > V1 ? V1 : out;
+  }
+
+  if (k === ONE) {
+    const idelta = i * delta;
+    const temp = idelta === 0n ? 0n : (idelta * V1) / (V0 * V0);
+    return (V1 * temp) / (temp + ONE);
+  }
+
+  const part2 = ((k * V0) / V1) * V0 + i * delta;
+  let bAbs = (ONE - k) * V1;
+  let bSig;
+  if (bAbs >= part2) {
+    bAbs -= part2;
+    bSig = false;
+  } else {
+    bAbs = part2 - bAbs;
+    bSig = true;
+  }
+  bAbs /= ONE;
+
+  let squareRoot = mulFloor((ONE - k) * 4n, mulFloor(k, V0) * V0);
+  squareRoot = sqrt(bAbs * bAbs + squareRoot);
+
+  const denominator = (ONE - k) * 2n;
+  const numerator = bSig ? squareRoot - bAbs : bAbs + squareRoot;
+  if (numerator <= 0n) throw new Error('PMM: numerator is zero');
+
+  const V2 = divCeil(numerator, denominator);
+  return V2 > V1 ? 0n : V1 - V2;
+}
+
+function sellBaseToken(s, payBase) {
+  const rOneSellBase = (amt) => solveQuadraticFunctionForTrade(s.Q0, s.Q0, amt, s.i, s.K);
+
+  if (s.R === R_ONE) return rOneSellBase(payBase);
+  if (s.R === R_ABOVE_ONE) {
+    const backToOnePayBase = s.B0 - s.B;
+    const backToOneReceiveQuote = s.Q - s.Q0;
+    if (payBase < backToOnePayBase) {
+      const receive = generalIntegrate(s.B0, s.B + payBase, s.B, s.i, s.K);
+      return receive > backToOneReceiveQuote ? backToOneReceiveQuote : receive;
+    }
+    if (payBase === backToOnePayBase) return backToOneReceiveQuote;
+    return backToOneReceiveQuote + rOneSellBase(payBase - backToOnePayBase);
+  }
+  return solveQuadraticFunctionForTrade(s.Q0, s.Q, payBase, s.i, s.K);
+}
+
+function sellQuoteToken(s, payQuote) {
+  const iInv = reciprocalFloor(s.i);
+  const rOneSellQuote = (amt) => solveQuadraticFunctionForTrade(s.B0, s.B0, amt, iInv, s.K);
+
+  if (s.R === R_ONE) return rOneSellQuote(payQuote);
+  if (s.R === R_ABOVE_ONE) return solveQuadraticFunctionForTrade(s.B0, s.B, payQuote, iInv, s.K);
+
+  const backToOnePayQuote = s.Q0 - s.Q;
+  const backToOneReceiveBase = s.B - s.B0;
+  if (payQuote < backToOnePayQuote) {
+    const receive = generalIntegrate(s.Q0, s.Q + payQuote, s.Q, iInv, s.K);
+    return receive > backToOneReceiveBase ? backToOneReceiveBase : receive;
+  }
+  if (payQuote === backToOnePayQuote) return backToOneReceiveBase;
+  return backToOneReceiveBase + rOneSellQuote(payQuote - backToOnePayQuote);
+}
+
+/**
+ * Exact-in quote on the PMM curve, LP + MT fees taken from the output.
+ * @param {object} state    pool.state from dodoAdapter.load()
+ * @param {boolean} sellBase true when paying base (token0) for quote (token1)
+ * @returns {bigint}
+ */
+export function dodoQuote(state, sellBase, amountIn, withFee = true) {
+  const amt = BigInt(amountIn);
+  if (amt <= 0n) return 0n;
+  try {
+    const receive = sellBase ? sellBaseToken(state, amt) : sellQuoteToken(state, amt);
+    if (!withFee) return receive;
+    const fee = mulFloor(receive, state.lpFeeRate) + mulFloor(receive, state.mtFeeRate);
+    return receive > fee ? receive - fee : 0n;
+  } catch {
+    return 0n;
+  }
+}
+
+// ---------- STATE ----------
+async function readDodoState(provider, poolAddr) {
+  const pool = new ethers.Contract(poolAddr, DODO_POOL_ABI, provider);
+  const [pmm, fees] = await Promise.all([
+    pool.getPMMStateForCall(),
+    pool.getUserFeeRate(ethers.ZeroAddress)
+  ]);
+  return {
+    i: pmm[0], K: pmm[1], B: pmm[2], Q: pmm[3], B0: pmm[4], Q0: pmm[5], R: pmm[6],
+    lpFeeRate: fees[0],
+    mtFeeRate: fees[1]
+  };
+}
+
+// ---------- ADAPTER ----------
+// token0 = base token, token1 = quote token (DODO pools are not address-sorted)
+export const dodoAdapter = {
+  kind: 'dodo',
+  swapTopics: [POOL_IFACE.getEvent('DODOSwap').topicHash],
+
+  async discover({ scanLogs, provider, factories, startBlock }) {
+    const latest = await provider.getBlockNumber();
+    const metas = [];
+    for (const factory of factories) {
+      const logs = await scanLogs({ address: factory, topics: [NEW_POOL_TOPICS] }, startBlock, latest);
+      for (const log of logs) {
+        try {
+          const { args } = FACTORY_IFACE.parseLog(log);
+          metas.push({ pairAddr: args[3], token0: args.baseToken, token1: args.quoteToken });
+        } catch (err) {
+          console.error('Error decoding DODO pool creation log', log.transactionHash, err.message);
+        }
+      }
+    }
+    return metas;
+  },
+
+  async load({ provider }, dexName, meta) {
+    const state = await readDodoState(provider, meta.pairAddr);
+    if (state.B === 0n || state.Q === 0n) return [];
+    return [{
+      dex: dexName,
+      kind: 'dodo',
+      ...meta,
+      get feeBps() { return Number(state.lpFeeRate + state.mtFeeRate) / 1e14; },
+      state
+    }];
+  },
+
+  async refresh({ provider }, pool) {
+    Object.assign(pool.state, await readDodoState(provider, pool.pairAddr));
+    return pool;
+  },
+
+  // raw base per raw quote, probed on the curve without fees
+  price(pool) {
+    const probe = pool.state.Q / 1_000_000n;
+    if (probe <= 0n) return 0;
+    const out = dodoQuote(pool.state, false, probe, false);
+    return out > 0n ? Number(out) / Number(probe) : 0;
+  },
+
+  balances(pool) {
+    return [pool.state.B, pool.state.Q];
+  },
+
+  quote(pool, tokenIn, amountIn) {
+    return dodoQuote(pool.state, tokenIn.toLowerCase() === pool.token0.toLowerCase(), amountIn);
+  }
+};
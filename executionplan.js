@@ -0,0 +1,138 @@
+// executionplan.js — poolfetcher opportunity record → execution plan (ESM)
+// direct_pool.json and tri_pool.json records are both cyclic routes (route, pools,
+// dexs, kinds, optimalAmountIn, expectedOut); this turns one into the loan and the
+// ordered hops the flash-loan executors need, or says why it cannot be executed.
+
+import { ethers } from 'ethers';
+
+// Venue kinds the executors can swap through (router-based). Their SwapKind enum has no
+// member confirmed for Algebra routers, so Algebra hops are refused rather than sent with
+// a guessed value; encodeAlgebraPath is ready for when an executor adds one.
+const EXECUTABLE_KINDS = new Set(['v2', 'v3']);
+
+const sameAddr = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * DEX name → router address, from dexconfig.json (entries without a router are left out).
+ * @param {{ polygon?: { name: string, router?: string|null }[] }} dexConfig
+ */
+export function dexRouters(dexConfig) {
+  const routers = {};
+  for (const dex of dexConfig?.polygon || []) if (dex.router) routers[dex.name] = dex.router;
+  return routers;
+}
+
+function toBigInt(v) {
+  try { return BigInt(v); } catch { return null; }
+}
+
+/**
+ * @param {object} record   direct or cycle record from poolfetcher.js
+ * @param {Object} routers  DEX name → router address (see dexRouters)
+ * @returns {{ ok: true, plan: {
+ *   id: string, type: string, loanAsset: string, loanAmount: bigint,
+ *   expectedProfit: bigint, estProfitUSD: number,
+ *   hops: { tokenIn: string, tokenOut: string, pool: string, dex: string, kind: string,
+ *           router: string, feeBps: number|undefined, expectedOut: bigint }[],
+ *   flashSources: { kind: string, dex: string, pool: string, feeBps: number, balance: string }[]
+ * } } | { ok: false, reason: string }}
+ */
+export function toExecutionPlan(record, routers) {
+  const { route, pools, dexs, kinds, feesBps = [], expectedOut = [] } = record || {};
+  if (!Array.isArray(route) || !Array.isArray(pools) || !pools.length) {
+    return { ok: false, reason: 'no route/pools (not a poolfetcher record)' };
+  }
+  if (route.length !== pools.length + 1 || !sameAddr(route[0], route[route.length - 1])) {
+    return { ok: false, reason: `route of ${route.length} tokens is not a ${pools.length}-hop cycle` };
+  }
+  if (!Array.isArray(kinds) || kinds.length !== pools.length || !Array.isArray(dexs) || dexs.length !== pools.length) {
+    return { ok: false, reason: 'missing per-hop dexs/kinds (written by an older poolfetcher)' };
+  }
+
+  const loanAmount = toBigInt(record.optimalAmountIn);
+  if (!loanAmount || loanAmount <= 0n) return { ok: false, reason: `bad optimalAmountIn ${record.optimalAmountIn}` };
+
+  const hops = [];
+  for (let i = 0; i < pools.length; i++) {
+    const kind = kinds[i];
+    if (!EXECUTABLE_KINDS.has(kind)) return { ok: false, reason: `hop ${i + 1}: ${dexs[i]} (${kind}) has no executor swap support` };
+    const router = routers[dexs[i]];
+    if (!router) return { ok: false, reason: `hop ${i + 1}: no router configured for ${dexs[i]} in dexconfig.json` };
+    if (kind === 'v3' && !(Number(feesBps[i]) > 0)) return { ok: false, reason: `hop ${i + 1}: no fee tier for ${dexs[i]} pool ${pools[i]}` };
+    const out = toBigInt(expectedOut[i]);
+    if (!out || out <= 0n) return { ok: false, reason: `hop ${i + 1}: no expected output` };
+    hops.push({
+      tokenIn: route[i],
+      tokenOut: route[i + 1],
+      pool: pools[i],
+      dex: dexs[i],
+      kind,
+      router,
+      feeBps: feesBps[i],
+      expectedOut: out
+    });
+  }
+
+  return {
+    ok: true,
+    plan: {
+      id: record.id,
+      type: record.type,
+      loanAsset: route[0],
+      loanAmount,
+      expectedProfit: toBigInt(record.netProfit) ?? 0n,
+      estProfitUSD: Number(record.estProfitUSD) || 0,
+      hops,
+      flashSources: Array.isArray(record.flashSources) ? record.flashSources : [] // pools able to lend loanAsset
+    }
+  };
+}
+
+// ---------- PACKED PATHS ----------
+
+/** Uniswap V3 exactInput path: token(20) [fee(3) token(20)]* — inverse of scanner.js decodeV3Path. */
+export function encodeV3Path(tokens, fees) {
+  if (tokens.length < 2 || fees.length !== tokens.length - 1) throw new Error('V3 path needs one fee per hop');
+  const types = [];
+  const values = [];
+  tokens.forEach((t, i) => {
+    types.push('address');
+    values.push(t);
+    if (i < fees.length) {
+      types.push('uint24');
+      values.push(fees[i]);
+    }
+  });
+  return ethers.solidityPacked(types, values);
+}
+
+/** Algebra exactInput path: token(20)* — no fee, Algebra pools set theirs dynamically. */
+export function encodeAlgebraPath(tokens) {
+  if (tokens.length < 2) throw new Error('Algebra path needs at least two tokens');
+  return ethers.solidityPacked(tokens.map(() => 'address'), tokens);
+}
+
+/** Tokens of a packed path; null if its length does not fit the layout. */
+export function decodePackedPath(path, withFees) {
+  const hex = String(path).slice(2);
+  const stride = withFees ? 46 : 40;
+  if (hex.length < 80 || (hex.length - 40) % stride) return null;
+  const tokens = [];
+  for (let i = 0; i < hex.length; i += stride) tokens.push(ethers.getAddress('0x' + hex.slice(i, i + 40)));
+  return tokens;
+}
+
+/** V3 fee tier (hundredths of a bip, uint24) from a hop's feeBps. */
+export function v3FeeOf(hop) {
+  return Math.round(Number(hop.feeBps) * 100);
+}
+
+/** Every token the plan trades (each hop's input; the route is a cycle). */
+export function planRouteTokens(plan) {
+  return plan.hops.map(h => h.tokenIn);
+}
+
+/** Short human label for alerts: dex names and token addresses along the route. */
+export function describePlan(plan) {
+  return plan.hops.map(h => `${h.tokenIn} →[${h.dex}]`).join(' ') + ` ${plan.loanAsset}`;
+}
@@ -16,8 +16,13 @@ const ABI = {
     "function poolByPair(address tokenA, address tokenB) external view returns (address)"
   ],
   KyberElasticFactory: [
-    "event PoolCreated(address indexed token0, address indexed token1, uint24 fee, uint160 sqrtGamma, address pool)",
-    "function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address)"
+    "event PoolCreated(address indexed token0, address indexed token1, uint24 indexed swapFeeUnits, int24 tickDistance, address pool)",
+    "function getPool(address tokenA, address tokenB, uint24 swapFeeUnits) external view returns (address)"
+  ],
+  DODOv2Factory: [
+    "event NewDVM(address baseToken, address quoteToken, address creator, address dvm)",
+    "event NewDSP(address baseToken, address quoteToken, address creator, address DSP)",
+    "event NewDPP(address baseToken, address quoteToken, address creator, address dpp)"
   ],
   DODOv3_D3MMFactory: [
     "event NewD3Pool(address indexed creator, address indexed token, address pool)",
@@ -58,13 +63,18 @@ const FACTORIES = {
 
   DODOv3: addr("0xFeAFe253802b77456B4627F8c2306a9CeBb5d681", "DODOv3_D3MMFactory"), // Verified DODO v3 4
 
+  // DODO V2 PMM pool factories (pools traded by the DODOV2Proxy02 router in dexconfig.json)
+  DODOv2_DVM: addr("0x79887f65f83bdf15Bcc8736b5e5BcDB48fb8fE13", "DODOv2Factory"),
+  DODOv2_DSP: addr("0x43C49f8DD240e1545F147211Ec9f917376Ac1e87", "DODOv2Factory"),
+  DODOv2_DPP: addr("0xd24153244066F0afA9415563bFC7Ba248bfB7a51", "DODOv2Factory"),
+
   CrowdSwap: { address: null, abi: [] }, // Aggregator
 
   DOOAR: { address: null, abi: ABI.UniswapV2Factory }, // Not publicly documented
 
   KyberElastic: addr("0xC7a590291e07B9fe9E64b86c58fD8fC764308C4A", "KyberElasticFactory"), // Verified KyberSwap Elastic 5
 
-  Curve: { address: null, abi: ABI.CurveRegistry }, // Registry address not found
+  Curve: addr("0x094d12e5b541784701FD8d65F11fc0598FBC6332", "CurveRegistry"), // Curve main registry (Polygon)
 
   Firebird: { address: null, abi: [] }, // Aggregator / no standard factory
 
@@ -79,4 +89,4 @@ const FACTORIES = {
   OpenOcean: { address: null, abi: [] } // Aggregator
 };
 
-module.exports = { ABI, FACTORIES };
+export { ABI, FACTORIES };
@@ -16,7 +16,7 @@ const FactoryABIs = {
   ],
 
   // Included for completeness; NOT used by poolfetcher (no allPairsLength)
-  // (kept empty so poolfetcher will skip V3/Algebra by design)
+  // (kept empty: V3 pools are discovered from PoolCreated logs, see V3_VENUES in poolfetcher.js)
   uniswapV3Factory: [],
   algebraFactory: [],
   dodoV3Factory: []
@@ -43,32 +43,38 @@ const FACTORIES = {
     abi: FactoryABIs.uniswapV2Factory
   },
 
-  // ❌ SKIPPED BY poolfetcher (no V2 enumeration ABI)
-  // (Keep the address for reference; abi: [] makes poolfetcher skip safely)
+  // ✅ DISCOVERED BY poolfetcher via pool creation logs (not V2 enumeration)
   "Uniswap V3": {
     address: "0x1F98431c8aD98523631AE4a59f267346ea31F984", // Polygon Uniswap V3 Factory
-    abi: [] // V3 not supported by V2 fetcher
+    abi: [] // V3 not supported by V2 fetcher; see V3_VENUES in poolfetcher.js
+  },
+  "SushiSwap V3": {
+    address: "0x9179338983A964aF39bDd8e90aCaE3D9f86b49fA", // same as factories.js SushiSwapV3
+    abi: [] // V3 not supported by V2 fetcher; see V3_VENUES in poolfetcher.js
   },
   "QuickSwap V3": {
     address: "0x411b0fAcC3489691f28ad58c47006AF5E3Ab3A28", // Algebra Factory
-    abi: [] // Algebra (V3-like) not supported by V2 fetcher
-  },
-  "KyberSwap Elastic": {
-    address: "0xC7a590291e07B9fe9E64b86c58fD8fC764308C4A", // Factory
-    abi: [] // Not V2
+    abi: [] // Algebra (V3-like) not supported by V2 fetcher; see V3_VENUES in poolfetcher.js
   },
   "Balancer V2": {
     address: "0xBA12222222228d8Ba445958a75a0704d566BF2C8", // Vault (not a pair factory)
-    abi: [] // Not V2
+    abi: [] // Not V2; pools come from Vault PoolRegistered logs (MULTI_TOKEN_VENUES)
   },
   "Curve Finance": {
-    address: null,
-    abi: [] // Uses registries/pools, not V2 factory
+    address: "0x094d12e5b541784701FD8d65F11fc0598FBC6332", // Main registry (same as factories.js Curve)
+    abi: [] // Uses registries/pools, not V2 factory; see MULTI_TOKEN_VENUES in poolfetcher.js
+  },
+  "KyberSwap Elastic": {
+    address: "0xC7a590291e07B9fe9E64b86c58fD8fC764308C4A", // Factory
+    abi: [] // Not V2; discovered by kyberpools.js adapter (ADAPTER_VENUES)
   },
   "DODO": {
-    address: "0xFeAFe253802b77456B4627F8c2306a9CeBb5d681", // D3MM Factory
-    abi: [] // Not V2
+    address: "0xFeAFe253802b77456B4627F8c2306a9CeBb5d681", // D3MM Factory (reference only)
+    abi: [] // Not V2; DODO V2 PMM pools discovered by dodopools.js adapter (ADAPTER_VENUES)
   },
+
+  // ❌ SKIPPED BY poolfetcher (no V2 enumeration ABI)
+  // (Keep the address for reference; abi: [] makes poolfetcher skip safely)
   "Clipper":     { address: null, abi: [] },
   "PearlFi":     { address: null, abi: [] },
   "Retro":       { address: null, abi: [] },
@@ -80,7 +86,5 @@ const FACTORIES = {
   "OpenOcean":   { address: null, abi: [] }  // Aggregator
 };
 
-module.exports = {
-  FactoryABIs,
-  FACTORIES
-};
+export { FactoryABIs, FACTORIES };
+export default FactoryABIs;
@@ -0,0 +1,75 @@
+// flashsources.js — pool-funded flash capital: Uniswap V2 flash swaps, V3 flash, DODO V2 flash loans (ESM + Ethers v6)
+// Each source type is served by its own executor contract (address in .env) that borrows
+// from the pool inside the pool's callback, runs the same SwapStep[] as the Aave/Balancer
+// executors and repays the pool. Plans and steps are shared; only the fee model and the
+// extra (source, repayAmount) arguments differ.
+
+import { ethers } from 'ethers';
+
+// Interface the V2 / V3 / DODO flash executors implement: FlashParams as in aaveABI.json,
+// plus the pool to borrow from and the exact amount it must get back
+export const FLASH_SOURCE_EXECUTOR_ABI = [
+  'function executeArbitrage((address[] loanAssets, uint256[] loanAmounts, (uint8 kind, address router, address[] path, uint24 v3Fee, bool v3ExactInputSingle, bytes v3Path, uint256 amountIn, uint256 minAmountOut, uint256 deadline, bool unwrapETH)[] steps) p, address source, uint256 repayAmount)',
+  'event FlashCompleted(address[] assets, uint256[] borrowed, uint256[] premiums, uint256[] surplus)',
+  'event StepExecuted(uint256 indexed idx, address tokenIn, address tokenOut, address router, uint256 amountIn, uint256 amountOut)'
+];
+
+const FEE_PPM = 1_000_000n;
+const ceilDiv = (a, b) => (a + b - 1n) / b;
+const feePpm = (feeBps) => BigInt(Math.round((Number(feeBps) || 0) * 100));
+
+// poolfetcher pool kind → executor type, its .env switches and what the pool charges
+const SOURCE_TYPES = {
+  v2: {
+    type: 'v2flash', label: 'V2 flash swap', envFlag: 'V2_FLASH_LOAN', envContract: 'V2_FLASH_CONTRACT',
+    // swap() callback: repaying in the borrowed token, the pair's K check takes its fee on the way back
+    fee: (amount, feeBps) => ceilDiv(amount * FEE_PPM, FEE_PPM - feePpm(feeBps)) - amount
+  },
+  v3: {
+    type: 'v3flash', label: 'V3 flash', envFlag: 'V3_FLASH_LOAN', envContract: 'V3_FLASH_CONTRACT',
+    // flash(): fee tier on the borrowed amount, rounded up as the pool does
+    fee: (amount, feeBps) => ceilDiv(amount * feePpm(feeBps), FEE_PPM)
+  },
+  dodo: {
+    type: 'dodo', label: 'DODO flash loan', envFlag: 'DODO_FLASH_LOAN', envContract: 'DODO_FLASH_CONTRACT',
+    // flashLoan(): returned in full in the same token, DVM / DSP / DPP pools charge nothing
+    fee: () => 0n
+  }
+};
+
+/** Pool kinds that can fund a flash loan (used by poolfetcher when listing sources). */
+export const FLASH_SOURCE_KINDS = Object.keys(SOURCE_TYPES);
+
+/** .env switch per executor type, for isFlashLoanAvailable. */
+export const FLASH_SOURCE_ENV_FLAGS = Object.fromEntries(Object.values(SOURCE_TYPES).map(t => [t.type, t.envFlag]));
+
+const executorContracts = new Map();
+function executorContract(address, runner) {
+  if (!executorContracts.has(address)) executorContracts.set(address, new ethers.Contract(address, FLASH_SOURCE_EXECUTOR_ABI, runner));
+  return executorContracts.get(address);
+}
+
+/**
+ * Flash providers for a plan's pool sources whose executor contract is configured.
+ * @param {{ kind: string, dex: string, pool: string, feeBps: number }[]} flashSources  plan.flashSources
+ * @param {ethers.ContractRunner} runner
+ * @returns {{ name: string, type: string, source: string, contract: ethers.Contract,
+ *             fee: (amount: bigint) => bigint, args: (params: object, repay: bigint) => any[] }[]}
+ */
+export function flashSourceProviders(flashSources, runner) {
+  const providers = [];
+  for (const s of flashSources || []) {
+    const t = SOURCE_TYPES[s.kind];
+    const address = t && process.env[t.envContract];
+    if (!address) continue;
+    providers.push({
+      name: `${t.label} (${s.dex})`,
+      type: t.type,
+      source: s.pool,
+      contract: executorContract(address, runner),
+      fee: (amount) => t.fee(amount, s.feeBps),
+      args: (params, repay) => [params, s.pool, repay]
+    });
+  }
+  return providers;
+}
@@ -0,0 +1,105 @@
+// gasstrategy.js — EIP-1559 fees from eth_feeHistory, tip capped by expected profit (ESM + Ethers v6)
+// maxPriorityFeePerGas is a percentile of the tips paid in recent blocks, never more than a
+// share of the trade's expected net profit (spread over its gas limit); maxFeePerGas leaves
+// room for the next base fee to rise. Private relays and the public mempool get separate
+// policies: through a relay nobody can outbid us, in the public mempool searchers will.
+
+import 'dotenv/config';
+import { ethers } from 'ethers';
+
+const FEE_HISTORY_BLOCKS = Number(process.env.GAS_FEE_HISTORY_BLOCKS || 20);
+const FEE_HISTORY_CACHE_MS = Number(process.env.GAS_FEE_HISTORY_CACHE_MS || 2000); // ~1 Polygon block
+const BASE_FEE_MULTIPLIER = Number(process.env.GAS_BASE_FEE_MULTIPLIER || 2);       // base fee headroom
+const MIN_TIP = ethers.parseUnits(process.env.GAS_MIN_TIP_GWEI || '30', 'gwei');    // Polygon validators' floor
+
+const POLICIES = {
+  private: {
+    percentile: Number(process.env.GAS_PRIVATE_TIP_PERCENTILE || 50),
+    profitShare: Number(process.env.GAS_PRIVATE_PROFIT_SHARE || 0.1)
+  },
+  public: {
+    percentile: Number(process.env.GAS_PUBLIC_TIP_PERCENTILE || 90),
+    profitShare: Number(process.env.GAS_PUBLIC_PROFIT_SHARE || 0.3)
+  }
+};
+const PERCENTILES = [...new Set(Object.values(POLICIES).map(p => p.percentile))].sort((a, b) => a - b);
+
+const SHARE_SCALE = 10_000n;
+const toShare = (x) => BigInt(Math.round(Math.min(Math.max(Number(x) || 0, 0), 1) * Number(SHARE_SCALE)));
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : null;
+}
+
+let cached = null; // { at, nextBaseFee, tips: { [percentile]: bigint } }
+
+/**
+ * Next block's base fee and the median tip paid at each policy percentile over the last
+ * FEE_HISTORY_BLOCKS blocks. Falls back to getFeeData() when eth_feeHistory is unavailable.
+ * @returns {Promise<{ nextBaseFee: bigint, tips: Object, source: string }>}
+ */
+export async function readFeeHistory(provider) {
+  if (cached && Date.now() - cached.at < FEE_HISTORY_CACHE_MS) return cached;
+  try {
+    const hist = await provider.send('eth_feeHistory', [ethers.toQuantity(FEE_HISTORY_BLOCKS), 'latest', PERCENTILES]);
+    const baseFees = (hist.baseFeePerGas || []).map(BigInt);
+    const tips = {};
+    PERCENTILES.forEach((pct, i) => {
+      const paid = (hist.reward || []).map(r => BigInt(r?.[i] ?? 0)).filter(v => v > 0n); // empty blocks report 0
+      tips[pct] = median(paid) ?? MIN_TIP;
+    });
+    cached = { at: Date.now(), nextBaseFee: baseFees[baseFees.length - 1] ?? 0n, tips, source: 'feeHistory' };
+  } catch (e) {
+    const fd = await provider.getFeeData();
+    const tip = fd.maxPriorityFeePerGas ?? MIN_TIP;
+    const base = fd.maxFeePerGas != null ? (fd.maxFeePerGas - tip) / 2n : (fd.gasPrice ?? 0n); // ethers: 2·base + tip
+    console.warn(`[gas] eth_feeHistory failed (${e?.shortMessage || e?.message}) — using getFeeData`);
+    cached = { at: Date.now(), nextBaseFee: base, tips: Object.fromEntries(PERCENTILES.map(p => [p, tip])), source: 'feeData' };
+  }
+  return cached;
+}
+
+/**
+ * Fee fields for one transaction.
+ * @param {ethers.Provider} provider
+ * @param {{ route?: 'private'|'public', gasLimit: bigint, profitWei?: bigint }} opts
+ *   profitWei: expected net profit in native-token wei; no cap when omitted
+ * @returns {Promise<{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint, baseFee: bigint,
+ *   effectiveGasPrice: bigint, capped: boolean, skip: boolean, route: string, source: string }>}
+ *   effectiveGasPrice: what the tx is expected to pay per gas (next base fee + tip)
+ *   skip: the profit cap leaves less than the minimum tip; the trade must not be sent
+ */
+export async function quoteFees(provider, { route = 'private', gasLimit, profitWei } = {}) {
+  const policy = POLICIES[route] || POLICIES.private;
+  const { nextBaseFee, tips, source } = await readFeeHistory(provider);
+
+  let tip = tips[policy.percentile] ?? MIN_TIP;
+  let capped = false;
+  if (profitWei != null && gasLimit > 0n) {
+    const maxTip = (BigInt(profitWei) * toShare(policy.profitShare)) / SHARE_SCALE / BigInt(gasLimit);
+    if (tip > maxTip) {
+      tip = maxTip;
+      capped = true;
+    }
+  }
+  // Below the floor the tx is not picked up at all. A market tip is raised to it; a tip
+  // capped by profit is not, as the trade cannot afford the floor
+  let skip = false;
+  if (tip < MIN_TIP) {
+    if (capped) skip = true;
+    else tip = MIN_TIP;
+  }
+
+  const headroom = BigInt(Math.round(BASE_FEE_MULTIPLIER * 100));
+  return {
+    maxFeePerGas: (nextBaseFee * headroom) / 100n + tip,
+    maxPriorityFeePerGas: tip,
+    baseFee: nextBaseFee,
+    effectiveGasPrice: nextBaseFee + tip,
+    capped,
+    skip,
+    route,
+    source
+  };
+}
@@ -5,9 +5,19 @@ import path from 'path';
 import { ethers } from 'ethers';
 import dotenv from 'dotenv';
 import sendAlert from './telegramalert.js';
-import protection from './protectionutilities.js';
-import aaveABI from './aaveABI.json';
-import balancerABI from './balancerABI.json';
+import * as protection from './protectionutilities.js';
+import aaveABI from './aaveABI.json' with { type: 'json' };
+import balancerABI from './balancerABI.json' with { type: 'json' };
+import {
+  toExecutionPlan, dexRouters, describePlan, planRouteTokens,
+  encodeV3Path, decodePackedPath, v3FeeOf
+} from './executionplan.js';
+import { quoteExactIn, quoteRoute } from './quoter.js';
+import { flashSourceProviders } from './flashsources.js';
+import { createNonceManager } from './noncemanager.js';
+import { quoteFees } from './gasstrategy.js';
+import { loadTokenMeta, tokenMeta } from './tokenmeta.js';
+import { claimHolder, claimOpportunity, releaseOpportunity, removeOpportunity } from './opportunitystore.js';
 import { startBlockFeed } from './dataprovider.js'; // NEW (replaces websocket listener)
 
 dotenv.config();
@@ -39,6 +49,8 @@ const CHAIN_ID         = Number(process.env.CHAIN_ID || '137');
 const PROFIT_USD       = Number(process.env.PROFIT_THRESHOLD_USD || '40');
 const BOT_INTERVAL_MS  = Number(process.env.BOT_INTERVAL_MS || '5000');
 const MAX_SLIPPAGE_BPS = Number(process.env.MAX_SLIPPAGE_BPS || '50');
+// Re-price and broadcast publicly (gasstrategy.js public policy) when every private relay fails
+const PUBLIC_MEMPOOL_FALLBACK = (process.env.PUBLIC_MEMPOOL_FALLBACK || 'false').toLowerCase() === 'true';
 
 const RPC_URLS = (process.env.RPC_URLS || '')
   .split(',')
@@ -86,79 +98,212 @@ const PRIVATE_KEY = process.env.PRIVATE_KEY || '';
 let wallet = PRIVATE_KEY ? new ethers.Wallet(PRIVATE_KEY, baseProvider) : null;
 if (wallet) console.log(`[BOT] Wallet loaded: ${wallet.address}`);
 
+// One nonce counter for every send (block feed and interval runs overlap); stuck txs are
+// sped up, then cancelled, through the same private-relay path
+const nonces = wallet ? createNonceManager(wallet, baseProvider, {
+  send: (txReq) => sendWithRpcFallback(txReq),
+  stuckBlocks: Number(process.env.NONCE_STUCK_BLOCKS || '3'),
+  maxSpeedUps: Number(process.env.NONCE_MAX_SPEEDUPS || '2'),
+  bumpPct: Number(process.env.NONCE_BUMP_PCT || '15'),
+  maxFeeGwei: Number(process.env.NONCE_MAX_FEE_GWEI || '1000'),
+  pollMs: Number(process.env.NONCE_POLL_MS || '4000')
+}) : null;
+
 const aaveContract = new ethers.Contract(process.env.AAVE_FLASHLOAN_CONTRACT, aaveABI, wallet || txProvider);
 const balancerContract = new ethers.Contract(process.env.BALANCER_FLASHLOAN_CONTRACT, balancerABI, wallet || txProvider);
 
+// Flash-loan premiums in bps: Aave's is read from its pool once, Balancer V2 charges none
+// (pool flash sources — V2/V3 flash swaps, DODO — carry their own fee models, see flashsources.js)
+const AAVE_POOL_ABI = [
+  'function FLASHLOAN_PREMIUM_TOTAL() view returns (uint128)',
+  'function getReserveData(address asset) view returns (tuple(uint256 configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))'
+];
+const AAVE_PREMIUM_BPS = Number(process.env.AAVE_PREMIUM_BPS || '5');
+const BALANCER_PREMIUM_BPS = 0;
+let aavePoolContract = null;
+async function aavePool() {
+  aavePoolContract ??= new ethers.Contract(await aaveContract.POOL(), AAVE_POOL_ABI, baseProvider);
+  return aavePoolContract;
+}
+
+let aavePremiumBps = null;
+async function getAavePremiumBps() {
+  if (aavePremiumBps != null) return aavePremiumBps;
+  try {
+    aavePremiumBps = Number(await (await aavePool()).FLASHLOAN_PREMIUM_TOTAL());
+  } catch (e) {
+    console.warn(`[BOT] Aave premium unreadable (${e.message}) — using ${AAVE_PREMIUM_BPS} bps`);
+    aavePremiumBps = AAVE_PREMIUM_BPS;
+  }
+  return aavePremiumBps;
+}
+
+// Where each lender's liquidity sits: Aave in the asset's aToken, Balancer in its Vault
+const aTokenByAsset = new Map();
+async function aaveLiquidityHolder(asset) {
+  const key = asset.toLowerCase();
+  if (!aTokenByAsset.has(key)) aTokenByAsset.set(key, (await (await aavePool()).getReserveData(asset)).aTokenAddress);
+  return aTokenByAsset.get(key);
+}
+
+let balancerVault = null;
+async function balancerLiquidityHolder() {
+  balancerVault ??= await balancerContract.VAULT();
+  return balancerVault;
+}
+
 // ===========================================================
-// 5) Decimals helper
+// 5) Token amounts (real decimals via tokenmeta.js, cached on disk)
 // ===========================================================
-const ERC20_DECIMALS_ABI = ["function decimals() view returns (uint8)"];
-async function getTokenDecimals(provider, tokenAddress) {
-  if (!tokenAddress || tokenAddress === ethers.ZeroAddress) return 18;
-  try {
-    const erc = new ethers.Contract(tokenAddress, ERC20_DECIMALS_ABI, provider);
-    return await erc.decimals();
-  } catch {
-    return 18;
+function formatAmount(token, raw) {
+  const meta = tokenMeta(token);
+  return meta ? `${ethers.formatUnits(raw, meta.decimals)} ${meta.symbol}` : `${raw} (raw)`;
+}
+
+// Re-quote every hop from live pool state, chaining each output into the next hop:
+// V2 from reserves, V3 from slot0 plus tick windows (quoter.js)
+async function requotePlan(plan) {
+  const poolsOf = (kind) => plan.hops.filter(h => h.kind === kind).map(h => h.pool);
+  const [v2, v3] = await Promise.all([
+    protection.getV2ReservesBatch(poolsOf('v2')),
+    protection.getV3StateBatch(poolsOf('v3')),
+    loadTokenMeta(baseProvider, plan.hops.map(h => h.tokenOut)).catch(() => {})
+  ]);
+
+  const live = new Map();
+  poolsOf('v2').forEach((addr, i) => v2[i] && live.set(addr.toLowerCase(), {
+    kind: 'v2', token0: v2[i].token0, token1: v2[i].token1, reserve0: v2[i].r0, reserve1: v2[i].r1
+  }));
+  poolsOf('v3').forEach((addr, i) => v3[i] && live.set(addr.toLowerCase(), { kind: 'v3', ...v3[i] }));
+
+  let amount = plan.loanAmount;
+  for (const [i, hop] of plan.hops.entries()) {
+    const pool = live.get(hop.pool.toLowerCase());
+    if (!pool) return { ok: false, reason: `no live state for hop ${i + 1} (${hop.dex} ${hop.pool})` };
+    if (pool.kind === 'v3') pool.fee = v3FeeOf(hop);
+    amount = quoteExactIn(pool, hop.tokenIn, amount, hop.feeBps);
+    if (amount <= 0n) return { ok: false, reason: `hop ${i + 1} (${hop.dex}) quotes zero` };
+    hop.expectedOut = amount;
+    hop.live = pool; // buildSteps re-quotes from the amounts each step really spends
   }
+  return { ok: true };
 }
 
 // ===========================================================
 // 6) Process Transactions
 // ===========================================================
+// Block feed and interval runs overlap: each run claims an opportunity (opportunitystore.js
+// claims file, locked) before executing it, so only one run (and one executor) ever takes it
+const CLAIM_TTL_MS = Number(process.env.CLAIM_TTL_MS || '600000'); // a dead run's claim expires
+let runSeq = 0;
+
 async function processTransactions() {
+  const claimer = `bot:${process.pid}:${++runSeq}`;
   try {
     // Logic 1: Load configs fresh
-    const { routers, tokenList, priceFeeds, directPools, triPools } = loadAllConfigsFresh();
-    const allPools = [...directPools, ...triPools];
-
-    for (const pool of allPools) {
-      // Logic 2: Run all protection checks
-      const passed = await protection.runAllChecks(pool, { routers, tokenList, priceFeeds });
-      if (!passed) {
-        await sendAlert(`⛔ Trade skipped (failed protections) Pool: ${pool.token0} → ${pool.token1}`);
+    const { routers, tokenList, priceFeeds, dexConfig, directPools, triPools } = loadAllConfigsFresh();
+    const allPools = [
+      ...directPools.map(record => ({ file: DIRECT_POOL_FILE, record })),
+      ...triPools.map(record => ({ file: TRI_POOL_FILE, record }))
+    ];
+    const venueRouters = dexRouters(dexConfig);
+
+    for (const { file, record } of allPools) {
+      const holder = record.id && claimHolder(file, record.id, { ttlMs: CLAIM_TTL_MS });
+      if (holder && holder !== claimer) continue; // taken by another run
+      // Logic 1b: Normalize the poolfetcher record into an execution plan
+      const mapped = toExecutionPlan(record, venueRouters);
+      if (!mapped.ok) {
+        console.warn(`⛔ Record ${record.id ?? '(no id)'} rejected: ${mapped.reason}`);
+        continue;
+      }
+      const { plan } = mapped;
+
+      // Logic 2: Run all protection checks (gas is gated later, once the tx exists — Logic 8)
+      const prot = await protection.runProtections(protectionParams(plan));
+      if (!prot.ok) {
+        await sendAlert(`⛔ Trade skipped (failed protections: ${prot.reason}) Route: ${describePlan(plan)}`);
         continue;
       }
 
-      // Logic 3: Estimate profit (pre-trade)
-      const estProfit = await protection.estimateProfitUSD(pool, { routers, tokenList, priceFeeds });
+      // Logic 3: Estimate profit (pre-trade, from the sized simulation in the record)
+      const estProfit = plan.estProfitUSD;
 
       // Logic 4: Skip if below profit threshold
       if (estProfit < PROFIT_USD) {
-        await sendAlert(`⚠️ Trade skipped (low profit) Pool: ${pool.token0} → ${pool.token1} | Est: $${estProfit.toFixed(2)} < $${PROFIT_USD}`);
+        await sendAlert(`⚠️ Trade skipped (low profit) Route: ${describePlan(plan)} | Est: $${estProfit.toFixed(2)} < $${PROFIT_USD}`);
         continue;
       }
 
-      // Logic 5: Use real decimals for loanAmount
-      const loanDec = await getTokenDecimals(baseProvider, pool.loanAsset);
-
-      // Logic 6: Build steps (routes & paths)
-      const params = {
-        loanAsset: pool.loanAsset,
-        loanAmount: ethers.parseUnits(pool.amount.toString(), loanDec),
-        steps: buildSteps(pool, routers, tokenList, priceFeeds)
-      };
+      // Logic 5: Re-quote hops from live state (raw units of each hop's output token)
+      const quote = await requotePlan(plan);
+      if (!quote.ok) {
+        await sendAlert(`⚠️ Trade skipped (${quote.reason}) Route: ${describePlan(plan)}`);
+        continue;
+      }
 
-      // Logic 7: Slippage is embedded in buildSteps via calcMinOut()
+      // Logic 6–7: Steps and per-hop minAmountOut are built per lender in the executor,
+      //            since the final hop must also cover that lender's premium
 
-      // Logic 8–15 happen in executor
-      await executeWithFallback(params, pool, estProfit);
+      // Claim before any provider is picked (Logic 8c); a lost race means another run has it
+      let claimed = false;
+      try {
+        claimed = !!record.id && claimOpportunity(file, record.id, claimer, { ttlMs: CLAIM_TTL_MS });
+      } catch (e) {
+        console.warn(`⚠️ Could not claim ${record.id}: ${e.message}`);
+      }
+      if (!claimed) continue;
+
+      // Logic 8–15 happen in executor; a mined success consumes the opportunity,
+      // anything else gives it back for a later run
+      let executed = null;
+      try {
+        executed = await executeWithFallback(plan);
+      } finally {
+        try {
+          if (executed?.receipt?.status === 1 && !executed.cancelled) removeOpportunity(file, record.id);
+          else releaseOpportunity(file, record.id, claimer);
+        } catch (e) {
+          console.warn(`⚠️ Could not release ${record.id} (claim expires after CLAIM_TTL_MS): ${e.message}`);
+        }
+      }
     }
   } catch (e) {
     console.error('❌ processTransactions error:', e.message);
   }
 }
 
+// Logic 2 inputs for protection.runProtections, from the plan's own fields
+function protectionParams(plan) {
+  const expectedOut = plan.hops[plan.hops.length - 1].expectedOut;
+  const first = plan.hops[0];
+  return {
+    routeKey: plan.id ?? describePlan(plan),
+    expectedOut,
+    minOut: calcMinOut(expectedOut),
+    profitUsd: plan.estProfitUSD,
+    notionalUsd: loanRawToUSD(plan, plan.loanAmount),
+    wallet: wallet?.address,
+    v2PairAddr: first.kind === 'v2' ? first.pool : undefined,
+    v3PoolAddr: first.kind === 'v3' ? first.pool : undefined,
+    routeTokens: planRouteTokens(plan)
+  };
+}
+
 // ===========================================================
 // 7) Load configs
 // ===========================================================
+const DIRECT_POOL_FILE = './direct_pool.json';
+const TRI_POOL_FILE    = './tri_pool.json';
+
 function loadAllConfigsFresh() {
   const routers     = safeRequireJson('./routers.json') || {};
   const tokenList   = safeRequireJson('./tokenlist.json') || [];
   const priceFeeds  = safeRequireJson('./chainlinkpricefeed.json') || {};
-  const directPools = safeRequireJson('./direct_pool.json') || [];
-  const triPools    = safeRequireJson('./tri_pool.json') || [];
-  return { routers, tokenList, priceFeeds, directPools, triPools };
+  const dexConfig   = safeRequireJson('./dexconfig.json') || {};
+  const directPools = safeRequireJson(DIRECT_POOL_FILE) || [];
+  const triPools    = safeRequireJson(TRI_POOL_FILE) || [];
+  return { routers, tokenList, priceFeeds, dexConfig, directPools, triPools };
 }
 
 function safeRequireJson(file) {
@@ -169,152 +314,458 @@ function safeRequireJson(file) {
 // ===========================================================
 // 8) Build Steps  (Logic 6 & 7)
 // ===========================================================
-function buildSteps(pool, routers, _tokenList, _priceFeeds) {
+// SwapKind values understood by the executor contracts (enum order); toExecutionPlan
+// only lets these kinds through
+const SWAP_KIND = { v2: 0, v3: 1 };
+const STEP_DEADLINE_SECS = 120;
+
+// Output of a run of hops for amountIn, from the live state requotePlan left on each hop
+function requoteGroup(group, amountIn) {
+  const missing = group.find(h => !h.live);
+  if (missing) throw new Error(`no live state for ${missing.dex} ${missing.pool}`);
+  const outs = quoteRoute(group.map(h => ({ pool: h.live, tokenIn: h.tokenIn, feeBps: h.feeBps })), amountIn);
+  return outs[outs.length - 1];
+}
+
+function buildSteps(plan) {
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + STEP_DEADLINE_SECS);
   const steps = [];
-  const minOut = calcMinOut(pool.amount);
-  if (pool._type === 0) {
-    steps.push({
-      kind: 0,
-      router: routers[pool.router] || pool.router,
-      path: [pool.token0, pool.token1],
-      v3Fee: 0,
-      v3ExactInputSingle: false,
-      v3Path: '0x',
-      minAmountOut: minOut
-    });
-    steps.push({
-      kind: 0,
-      router: routers[pool.routerBack] || pool.router,
-      path: [pool.token1, pool.token0],
-      v3Fee: 0,
-      v3ExactInputSingle: false,
-      v3Path: '0x',
-      minAmountOut: minOut
-    });
-  } else {
-    steps.push({
-      kind: 0,
-      router: routers[pool.routerA] || pool.routerA,
-      path: [pool.token0, pool.token1],
-      v3Fee: 0,
-      v3ExactInputSingle: false,
-      v3Path: '0x',
-      minAmountOut: minOut
-    });
-    steps.push({
-      kind: 0,
-      router: routers[pool.routerB] || pool.routerB,
-      path: [pool.token1, pool.token2],
-      v3Fee: 0,
-      v3ExactInputSingle: false,
-      v3Path: '0x',
-      minAmountOut: minOut
-    });
+  for (let i = 0; i < plan.hops.length;) {
+    const first = plan.hops[i];
+    // Consecutive V3 hops on the same DEX become one exactInput call
+    let j = i + 1;
+    if (first.kind !== 'v2') {
+      while (j < plan.hops.length && plan.hops[j].kind === first.kind && plan.hops[j].dex === first.dex) j++;
+    }
+    const group = plan.hops.slice(i, j);
+    const tokens = [first.tokenIn, ...group.map(h => h.tokenOut)];
+    const single = group.length === 1;
+
+    const v3Path = first.kind === 'v3' && !single ? encodeV3Path(tokens, group.map(v3FeeOf)) : '0x';
+
+    // First step spends the loan; later steps spend what the previous one is guaranteed to
+    // return, so their expected output is re-quoted from that amount, not the full-input chain
+    const amountIn = steps.length ? steps[steps.length - 1].minAmountOut : plan.loanAmount;
+    const expectedOut = steps.length ? requoteGroup(group, amountIn) : group[group.length - 1].expectedOut;
     steps.push({
-      kind: 0,
-      router: routers[pool.routerC] || pool.routerA,
-      path: [pool.token2, pool.token0],
-      v3Fee: 0,
-      v3ExactInputSingle: false,
-      v3Path: '0x',
-      minAmountOut: minOut
+      kind: SWAP_KIND[first.kind],
+      router: first.router,
+      path: tokens,
+      v3Fee: first.kind === 'v3' && single ? v3FeeOf(first) : 0,
+      v3ExactInputSingle: first.kind !== 'v2' && single,
+      v3Path,
+      amountIn,
+      minAmountOut: calcMinOut(expectedOut),
+      expectedOut, // not part of SwapStep; paramsForExecutor keeps only the struct fields
+      deadline,
+      unwrapETH: false
     });
+    i = j;
   }
   return steps;
 }
 
+// Final output when every step spends what the previous one guarantees (see buildSteps)
+function executableOut(plan) {
+  const steps = buildSteps(plan);
+  return steps[steps.length - 1].expectedOut;
+}
+
+// Loan + steps for one lender. The final step's minimum is raised to loan + premium,
+// so a route that no longer pays the loan back reverts on-chain instead of losing money.
+function bpsFee(premiumBps) {
+  return (amount) => (amount * BigInt(premiumBps) + 9_999n) / 10_000n; // premium rounds up
+}
+
+function repayAmount(plan, provider) {
+  return plan.loanAmount + provider.fee(plan.loanAmount);
+}
+
+function buildParams(plan, repay) {
+  const steps = buildSteps(plan);
+  const finalOut = steps[steps.length - 1].expectedOut;
+  if (finalOut < repay) {
+    throw new Error(`quoted return ${formatAmount(plan.loanAsset, finalOut)} < loan + premium ${formatAmount(plan.loanAsset, repay)}`);
+  }
+  const last = steps[steps.length - 1];
+  if (last.minAmountOut < repay) last.minAmountOut = repay;
+  console.log(`🎯 Min out per step: ${steps.map(s => formatAmount(s.path[s.path.length - 1], s.minAmountOut)).join(' | ')}`);
+  return { loanAssets: [plan.loanAsset], loanAmounts: [plan.loanAmount], steps };
+}
+
+// Internal consistency of one step; throws with the step index
+function checkStep(step, i) {
+  const fail = (msg) => { throw new Error(`step ${i}: ${msg}`); };
+  const kind = Object.keys(SWAP_KIND).find(k => SWAP_KIND[k] === step.kind);
+  if (!kind) fail(`unknown kind ${step.kind}`);
+  if (!Array.isArray(step.path) || step.path.length < 2) fail('path needs at least two tokens');
+  if (kind === 'v2') {
+    if (step.v3ExactInputSingle || step.v3Path !== '0x' || step.v3Fee !== 0) fail('V2 step carries V3 fields');
+    return;
+  }
+  if (step.v3ExactInputSingle) {
+    if (step.path.length !== 2 || step.v3Path !== '0x') fail('exactInputSingle takes one hop and no packed path');
+    if (kind === 'v3' && !(step.v3Fee > 0)) fail('V3 exactInputSingle without a fee tier');
+    return;
+  }
+  const decoded = decodePackedPath(step.v3Path, kind === 'v3');
+  if (!decoded || decoded.length !== step.path.length || decoded.some((t, k) => t.toLowerCase() !== step.path[k].toLowerCase())) {
+    fail('packed path does not match the token path');
+  }
+}
+
+// Shape params to one executor's SwapStep struct (the Balancer one has no unwrapETH)
+// and make sure they ABI-encode before anything is sent
+function paramsForExecutor(contract, params) {
+  const fn = contract.interface.getFunction('executeArbitrage');
+  const stepFields = fn.inputs[0].components.find(c => c.name === 'steps').arrayChildren.components.map(c => c.name);
+  const steps = params.steps.map((step, i) => {
+    checkStep(step, i);
+    const missing = stepFields.filter(f => step[f] === undefined);
+    if (missing.length) throw new Error(`step ${i}: missing ${missing.join(', ')}`);
+    return Object.fromEntries(stepFields.map(f => [f, step[f]]));
+  });
+  const shaped = { ...params, steps };
+  ethers.AbiCoder.defaultAbiCoder().encode([fn.inputs[0]], [shaped]); // throws on any type mismatch
+  return shaped;
+}
+
 // ===========================================================
 // 9) Slippage calculation (Logic 7)
 // ===========================================================
-function calcMinOut(amount) {
-  const amt = ethers.parseUnits(amount.toString(), 18);
+// expectedOut is in the output token's raw units (its own decimals)
+function calcMinOut(expectedOut) {
   const slippage = BigInt(10000 - MAX_SLIPPAGE_BPS);
-  return (amt * slippage) / 10000n;
+  return (BigInt(expectedOut) * slippage) / 10000n;
 }
 
 // ===========================================================
-// 10) Execute with fallback (Aave + Balancer)
-//      Logic 8: Gas gate
-//      Logic 9: Nonce management
-//      Logic 11–12: Aave populate/send/wait/profit
-//      Logic 13–14: Balancer populate/send/wait/profit
-//      Logic 15: Compare profits & final alerts
+// 9b) Preflight simulation (Logic 8b) — nothing is signed unless it passes
 // ===========================================================
-async function executeWithFallback(params, pool, estProfit) {
-  if (!wallet) return console.error('❌ Wallet required for sending TXs');
+const PREFLIGHT_TIMEOUT_MS = Number(process.env.PREFLIGHT_TIMEOUT_MS || '4000');
 
-  let txAave, txBal;
-  let profitA = 0, profitB = 0;
+function withTimeout(promise, ms, label) {
+  return Promise.race([
+    promise,
+    new Promise((_, rej) => setTimeout(() => rej(new Error(`${label} timeout after ${ms}ms`)), ms))
+  ]);
+}
 
-  // Logic 9: Nonce management
-  const baseNonce = await wallet.getNonce();
+// Most specific reason ethers can give: Error(string), custom error, then the RPC message
+function decodeRevert(contract, e) {
+  if (e?.revert) return `${e.revert.name}(${e.revert.args.map(String).join(', ')})`;
+  if (e?.reason) return e.reason;
+  try {
+    const parsed = e?.data && contract.interface.parseError(e.data);
+    if (parsed) return `${parsed.name}(${parsed.args.map(String).join(', ')})`;
+  } catch {}
+  return e?.shortMessage || e?.message || String(e);
+}
 
-  // Logic 8: Skip trade if gas > profit
-  async function shouldSkipForGas(txReq, profitEst) {
-    try {
-      const gasLimit   = await baseProvider.estimateGas({ ...txReq, from: wallet.address });
-      const feeData    = await baseProvider.getFeeData();
-      const gasPrice   = feeData.gasPrice ?? 0n;
-      const gasCostWei = BigInt(gasLimit) * gasPrice;
-      const gasEth     = Number(ethers.formatUnits(gasCostWei, 18));
-      const priceUsd   = Number(process.env.ETH_PRICE_USD || '2500'); // keep existing logic
-      const gasCostUsd = gasEth * priceUsd;
-      console.log(`⛽ Gas: ${gasLimit} | Cost ≈ $${gasCostUsd.toFixed(2)} | Profit ≈ $${profitEst.toFixed(2)}`);
-      return gasCostUsd > profitEst;
-    } catch {
-      return false;
+// Surplus of the loan asset from FlashCompleted, amountOut per step from StepExecuted
+function decodeExecutorLogs(contract, executorAddr, logs, loanAsset) {
+  let profit = null;
+  const stepOuts = [];
+  for (const log of logs) {
+    if (log.address?.toLowerCase() !== executorAddr.toLowerCase()) continue;
+    let parsed;
+    try { parsed = contract.interface.parseLog(log); } catch { continue; }
+    if (parsed?.name === 'StepExecuted') stepOuts[Number(parsed.args.idx)] = parsed.args.amountOut;
+    if (parsed?.name === 'FlashCompleted') {
+      const i = parsed.args.assets.findIndex(a => a.toLowerCase() === loanAsset.toLowerCase());
+      if (i >= 0) profit = parsed.args.surplus[i];
     }
   }
+  return { profit, stepOuts };
+}
 
-  // Logic 11–12: Aave execution
-  try {
-    const txAReq = await aaveContract.populateTransaction.executeArbitrage(params);
-    txAReq.chainId ??= CHAIN_ID;
-    txAReq.nonce   = baseNonce;
+// callTracer nests logs per call frame
+function collectTraceLogs(frame, out = []) {
+  for (const log of frame?.logs || []) out.push(log);
+  for (const child of frame?.calls || []) collectTraceLogs(child, out);
+  return out;
+}
 
-    if (await shouldSkipForGas(txAReq, estProfit)) {
-      await sendAlert(`⛔ Skipped Aave trade: Gas > Profit | Pool: ${pool.token0} → ${pool.token1}`);
-    } else {
-      txAave = await sendWithRpcFallback(txAReq, baseNonce);
-      if (txAave?.wait) await txAave.wait();
-      // Re-estimate post-trade profit in isolated scope
-      profitA = await protection.estimateProfitUSD(pool, { routers: {}, tokenList: {}, priceFeeds: {} });
-      await sendAlert(`✅ Aave trade executed | Profit: $${profitA.toFixed(2)} | TX: ${txAave?.hash ?? 'submitted'}`);
-    }
+/**
+ * staticCall executeArbitrage against the latest block; if it succeeds, trace the same
+ * call to read the simulated profit from its events (nodes without debug_traceCall
+ * only confirm success, profit is then null).
+ * @returns {Promise<{ ok: false, reason: string } | { ok: true, profit: bigint|null, stepOuts: bigint[], source: string }>}
+ */
+async function preflight(contract, args, loanAsset) {
+  const from = wallet.address;
+  try {
+    await withTimeout(contract.executeArbitrage.staticCall(...args, { from, blockTag: 'latest' }), PREFLIGHT_TIMEOUT_MS, 'staticCall');
   } catch (e) {
-    await sendAlert(`⚠️ Aave execution failed | Reason: ${e.message}`);
+    return { ok: false, reason: decodeRevert(contract, e) };
   }
 
-  // Logic 13–14: Balancer execution
+  const to = await contract.getAddress();
   try {
-    const txBReq = await balancerContract.populateTransaction.executeArbitrage(params);
-    txBReq.chainId ??= CHAIN_ID;
-    txBReq.nonce   = baseNonce + 1;
+    const data = contract.interface.encodeFunctionData('executeArbitrage', args);
+    const trace = await withTimeout(
+      baseProvider.send('debug_traceCall', [{ from, to, data }, 'latest', { tracer: 'callTracer', tracerConfig: { withLog: true } }]),
+      PREFLIGHT_TIMEOUT_MS,
+      'debug_traceCall'
+    );
+    if (trace?.error) return { ok: false, reason: trace.revertReason || trace.error };
+    return { ok: true, ...decodeExecutorLogs(contract, to, collectTraceLogs(trace), loanAsset), source: 'trace' };
+  } catch {
+    return { ok: true, profit: null, stepOuts: [], source: 'staticCall' };
+  }
+}
 
-    if (await shouldSkipForGas(txBReq, estProfit)) {
-      await sendAlert(`⛔ Skipped Balancer trade: Gas > Profit | Pool: ${pool.token0} → ${pool.token1}`);
-    } else {
-      txBal = await sendWithRpcFallback(txBReq, baseNonce + 1);
-      if (txBal?.wait) await txBal.wait();
-      profitB = await protection.estimateProfitUSD(pool, { routers: {}, tokenList: {}, priceFeeds: {} });
-      await sendAlert(`✅ Balancer trade executed | Profit: $${profitB.toFixed(2)} | TX: ${txBal?.hash ?? 'submitted'}`);
-    }
+// Loan-asset USD value implied by the record's own estimate (estProfitUSD / netProfit)
+function loanRawToUSD(plan, raw) {
+  if (raw == null || plan.expectedProfit <= 0n) return 0;
+  return (Number(raw) * plan.estProfitUSD) / Number(plan.expectedProfit);
+}
+
+// Logic 8b: simulated profit in USD, or null (alert sent) when the trade must not be signed
+async function preflightGate(label, contract, args, plan, repay) {
+  const sim = await preflight(contract, args, plan.loanAsset);
+  if (!sim.ok) {
+    await sendAlert(`⛔ ${label} preflight reverted | ${sim.reason} | Route: ${describePlan(plan)}`);
+    return null;
+  }
+  // Without a trace, fall back to the live quote net of the repayment
+  const profit = sim.profit ?? executableOut(plan) - repay;
+  const profitUsd = loanRawToUSD(plan, profit);
+  console.log(`🧪 ${label} preflight OK (${sim.source}) | Profit: ${formatAmount(plan.loanAsset, profit)} ≈ $${profitUsd.toFixed(2)}`);
+  if (profitUsd < PROFIT_USD) {
+    await sendAlert(`⚠️ Skipped ${label} trade: simulated profit $${profitUsd.toFixed(2)} < $${PROFIT_USD} | Route: ${describePlan(plan)}`);
+    return null;
+  }
+  return profitUsd;
+}
+
+// Realized profit from the mined receipt's FlashCompleted event
+function realizedProfitUSD(contract, executorAddr, receipt, plan) {
+  const { profit } = decodeExecutorLogs(contract, executorAddr, receipt?.logs || [], plan.loanAsset);
+  return loanRawToUSD(plan, profit);
+}
+
+// ===========================================================
+// 9c) Flash-loan provider selection (Logic 8c)
+// ===========================================================
+/**
+ * Lenders that can fund plan.loanAmount of plan.loanAsset right now (AAVE_LOAN / BAL_LOAN /
+ * V2_FLASH_LOAN / V3_FLASH_LOAN / DODO_FLASH_LOAN in .env), best first by quoted return net
+ * of the fee — zero-fee sources win ties.
+ * Each provider carries its executor, fee model and calldata arguments:
+ * @returns {Promise<{ name: string, type: string, source?: string, contract: ethers.Contract,
+ *   fee: (amount: bigint) => bigint, args: (params: object, repay: bigint) => any[], netRaw: bigint }[]>}
+ */
+async function selectFlashProviders(plan) {
+  const [aaveHolder, balHolder] = await Promise.all([
+    aaveLiquidityHolder(plan.loanAsset).catch(() => null),
+    balancerLiquidityHolder().catch(() => null)
+  ]);
+  const pooled = flashSourceProviders(plan.flashSources, wallet || txProvider);
+  const candidates = [];
+  if (aaveHolder) candidates.push({ type: 'aave', token: plan.loanAsset, addr: aaveHolder, needed: plan.loanAmount });
+  if (balHolder) candidates.push({ type: 'balancer', token: plan.loanAsset, addr: balHolder, needed: plan.loanAmount });
+  for (const p of pooled) candidates.push({ type: p.type, token: plan.loanAsset, addr: p.source, needed: plan.loanAmount });
+  const avail = await protection.isFlashLoanAvailable(candidates);
+  if (!avail.ok) {
+    console.warn(`🏦 No flash provider for ${formatAmount(plan.loanAsset, plan.loanAmount)}: ${avail.reason}`);
+    return [];
+  }
+
+  const finalOut = executableOut(plan);
+  const lenderArgs = (params) => [params];
+  const providers = [];
+  if (avail.balancer) providers.push({ name: 'Balancer', type: 'balancer', contract: balancerContract, fee: bpsFee(BALANCER_PREMIUM_BPS), args: lenderArgs });
+  if (avail.aave) providers.push({ name: 'Aave', type: 'aave', contract: aaveContract, fee: bpsFee(await getAavePremiumBps()), args: lenderArgs });
+  for (const p of pooled) if (avail.available?.[p.type]?.includes(p.source)) providers.push(p);
+  for (const p of providers) p.netRaw = finalOut - repayAmount(plan, p);
+  return providers.sort((a, b) => (b.netRaw > a.netRaw ? 1 : b.netRaw < a.netRaw ? -1 : 0));
+}
+
+// Executor choice per trade, newest last (temp file + rename, capped)
+const EXECUTED_TRADES_FILE = process.env.EXECUTED_TRADES_FILE || './executed_trades.json';
+const EXECUTED_TRADES_MAX = 1000;
+
+function recordTrade(plan, executed) {
+  try {
+    const trades = fs.existsSync(EXECUTED_TRADES_FILE) ? JSON.parse(fs.readFileSync(EXECUTED_TRADES_FILE, 'utf8')) : [];
+    trades.push({
+      id: plan.id,
+      type: plan.type,
+      route: plan.hops.map(h => h.tokenIn).concat(plan.loanAsset),
+      loanAsset: plan.loanAsset,
+      loanAmount: plan.loanAmount.toString(),
+      executor: executed.provider.type,
+      provider: executed.provider.name,
+      flashSource: executed.provider.source ?? null,
+      fee: executed.provider.fee(plan.loanAmount).toString(),
+      hash: executed.hash ?? null,
+      status: executed.cancelled ? 'cancelled'
+        : executed.receipt ? (executed.receipt.status === 1 ? 'success' : 'reverted') : 'submitted',
+      simProfitUSD: executed.simProfit,
+      simNetProfitUSD: executed.simNetProfit,
+      profitUSD: executed.profit,
+      gasUSD: executed.gasPaid,
+      netProfitUSD: executed.netProfit,
+      timestamp: Date.now()
+    });
+    const tmp = `${EXECUTED_TRADES_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(trades.slice(-EXECUTED_TRADES_MAX), null, 2));
+    fs.renameSync(tmp, EXECUTED_TRADES_FILE);
   } catch (e) {
-    await sendAlert(`⚠️ Balancer execution failed | Reason: ${e.message}`);
+    console.warn(`[BOT] Could not record trade in ${EXECUTED_TRADES_FILE}: ${e.message}`);
   }
+}
 
-  // Logic 15: Compare profits / final alert
-  if (!txAave && !txBal) {
-    await sendAlert(`⛔ Trade failed completely | Pool: ${pool.token0} → ${pool.token1}`);
-  } else if (txAave && txBal) {
-    if (profitA > profitB) {
-      await sendAlert(`📊 Aave outperformed Balancer | Aave: $${profitA.toFixed(2)} | Balancer: $${profitB.toFixed(2)}`);
-    } else if (profitB > profitA) {
-      await sendAlert(`📊 Balancer outperformed Aave | Aave: $${profitA.toFixed(2)} | Balancer: $${profitB.toFixed(2)}`);
-    } else {
-      await sendAlert(`📊 Aave and Balancer equal | Profit: $${profitA.toFixed(2)}`);
+// ===========================================================
+// 10) Execute with ONE flash-loan provider, failing over to the next
+//      Logic 8c: Provider selection (availability + fee; lenders and pool flash sources)
+//      Logic 8b: Preflight per provider
+//      Logic 8: Gas gate
+//      Logic 9: Nonce management (one nonce per opportunity, from noncemanager.js;
+//               given back if nothing was sent)
+//      Logic 11–14: populate/send/wait/profit on the chosen executor; a send rejected
+//                   before inclusion fails over to the next provider with the same nonce
+//      Logic 15: After-the-fact report (chosen vs. the alternative), never a second send
+// ===========================================================
+async function executeWithFallback(plan) {
+  if (!wallet) return console.error('❌ Wallet required for sending TXs');
+
+  // Logic 8: Skip trade if gas > profit. Sets the EIP-1559 fees it priced (private-relay
+  //          policy, tip capped by the profit) on txReq, so the gate and the send agree.
+  //          Gas is paid in MATIC/POL and priced via protection.getNativePriceUSD.
+  async function shouldSkipForGas(txReq, profitEst) {
+    try {
+      const native = await protection.getNativePriceUSD();
+      if (!native) throw new Error('no MATIC/POL price');
+      const gasLimit   = await baseProvider.estimateGas({ ...txReq, from: wallet.address });
+      const fees       = await quoteFees(baseProvider, { route: 'private', gasLimit, profitWei: usdToNativeWei(profitEst, native.usd) });
+      if (fees.skip) {
+        console.log(`⛽ Gas: tip capped by profit at ${ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')} gwei, below the minimum — skipping`);
+        return { skip: true, gasCostUsd: null, netProfit: null, reason: 'profit cannot cover the minimum tip' };
+      }
+      Object.assign(txReq, { type: 2, gasLimit, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas });
+      const gasCostUsd = protection.gasCostUSD(BigInt(gasLimit) * fees.effectiveGasPrice, native.usd);
+      const netProfit  = profitEst - gasCostUsd;
+      console.log(
+        `⛽ Gas: ${gasLimit} @ ${ethers.formatUnits(fees.baseFee, 'gwei')} + ${ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')} gwei` +
+        `${fees.capped ? ' (tip capped by profit)' : ''} | Cost ≈ $${gasCostUsd.toFixed(2)} (POL $${native.usd.toFixed(4)}, ${native.source}) | ` +
+        `Net profit ≈ $${netProfit.toFixed(2)}`
+      );
+      return { skip: netProfit <= 0, gasCostUsd, netProfit };
+    } catch (e) {
+      console.warn(`⛽ Gas estimate failed (${e?.shortMessage || e?.message}) — skipping`);
+      return { skip: true, gasCostUsd: null, netProfit: null }; // a call that cannot be estimated would most likely revert
+    }
+  }
+
+  // Gas actually paid by a mined tx, in USD
+  async function paidGasUSD(receipt) {
+    const native = await protection.getNativePriceUSD();
+    if (!receipt || !native) return 0;
+    return protection.gasCostUSD(BigInt(receipt.gasUsed) * BigInt(receipt.gasPrice ?? 0n), native.usd);
+  }
+
+  // Logic 8c: Provider selection
+  const providers = await selectFlashProviders(plan);
+  if (!providers.length) {
+    await sendAlert(`⛔ Trade skipped (no flash-loan liquidity) | Route: ${describePlan(plan)}`);
+    return null;
+  }
+  console.log(`🏦 Providers: ${providers.map(p => `${p.name} (fee ${formatAmount(plan.loanAsset, p.fee(plan.loanAmount))}, net ${formatAmount(plan.loanAsset, p.netRaw)})`).join(' > ')}`);
+
+  // Logic 9: Nonce management
+  let nonce = await nonces.acquire();
+
+  let sent = null; // { provider, tx, txReq, simProfit, gas } once a tx is out
+  for (const provider of providers) {
+    try {
+      const repay = repayAmount(plan, provider);
+      const args = provider.args(paramsForExecutor(provider.contract, buildParams(plan, repay)), repay);
+
+      // Logic 8b: preflight (alerts and returns null on revert / low profit)
+      const simProfit = await preflightGate(provider.name, provider.contract, args, plan, repay);
+      if (simProfit == null) continue;
+
+      const txReq = await provider.contract.executeArbitrage.populateTransaction(...args);
+      txReq.chainId ??= CHAIN_ID;
+      txReq.nonce   = nonce;
+      const gas = await shouldSkipForGas(txReq, simProfit);
+      if (gas.skip) {
+        const cost = gas.gasCostUsd == null ? 'unknown' : `$${gas.gasCostUsd.toFixed(2)}`;
+        await sendAlert(`⛔ Skipped ${provider.name} trade: ${gas.reason ?? `Gas ${cost} > Profit $${simProfit.toFixed(2)}`} | Route: ${describePlan(plan)}`);
+        continue;
+      }
+
+      // Logic 11–14: send; a rejection here means nothing was included, so try the next provider
+      try {
+        const tx = await sendWithRpcFallback(txReq, nonce, simProfit);
+        sent = { provider, tx, txReq, simProfit, gas };
+        break; // one send per opportunity: nothing after this point may reach another provider
+      } catch (e) {
+        if (/nonce too low/i.test(e.message)) {
+          // Stale nonce (used outside this counter): drop it, never release it, take a fresh one
+          await nonces.resync();
+          nonce = await nonces.acquire();
+        }
+        await sendAlert(`⚠️ ${provider.name} send rejected, failing over | Reason: ${e.message}`);
+      }
+    } catch (e) {
+      await sendAlert(`⚠️ ${provider.name} execution failed | Reason: ${e.message}`);
+    }
+  }
+  // Logic 9: nothing broadcast → the nonce goes back for the next opportunity
+  if (!sent) nonces.release(nonce);
+
+  // Logic 14: outcome of the one tx that went out. Errors here are reported, never failed
+  //           over: the nonce is spent and a second send would be a double trade.
+  let executed = null;
+  if (sent) {
+    const { provider, tx, txReq, simProfit, gas } = sent;
+    try {
+      // Follows the nonce, so a speed-up or cancel by the nonce manager resolves it too
+      const receipt = tx?.wait ? await tx.wait() : null;
+      const cancelled = !!receipt && receipt.to?.toLowerCase() !== txReq.to.toLowerCase();
+      const profit = receipt?.status === 1 && !cancelled ? realizedProfitUSD(provider.contract, txReq.to, receipt, plan) : 0;
+      const gasPaid = await paidGasUSD(receipt);
+      executed = {
+        provider, simProfit, simNetProfit: gas.netProfit, profit, gasPaid, netProfit: profit - gasPaid,
+        receipt, cancelled, hash: receipt?.hash ?? tx?.hash
+      };
+      recordTrade(plan, executed);
+      if (cancelled) {
+        await sendAlert(`🛑 ${provider.name} trade was stuck and got cancelled | Gas: $${gasPaid.toFixed(2)} | TX: ${executed.hash}`);
+      } else if (receipt && receipt.status !== 1) {
+        await sendAlert(`❌ ${provider.name} trade reverted on-chain | Gas lost: $${gasPaid.toFixed(2)} | TX: ${tx.hash}`);
+      } else {
+        await sendAlert(
+          `✅ ${provider.name} trade executed | Profit: $${profit.toFixed(2)} - Gas: $${gasPaid.toFixed(2)} = ` +
+          `Net: $${executed.netProfit.toFixed(2)} | TX: ${tx?.hash ?? 'submitted'}`
+        );
+      }
+    } catch (e) {
+      await sendAlert(`⚠️ ${provider.name} trade sent (TX: ${tx?.hash}) but its outcome is unknown | Reason: ${e.message}`);
+      executed ??= {
+        provider, simProfit, simNetProfit: gas.netProfit, profit: 0, gasPaid: 0, netProfit: 0,
+        receipt: null, cancelled: false, hash: tx?.hash
+      };
     }
   }
+
+  // Logic 15: Report (after the fact; only one trade was ever sent)
+  if (!executed) {
+    await sendAlert(`⛔ Trade failed completely | Route: ${describePlan(plan)}`);
+    return null;
+  }
+  const alternatives = providers
+    .filter(p => p !== executed.provider)
+    .map(p => `${p.name} would have netted ≈ $${loanRawToUSD(plan, p.netRaw).toFixed(2)}`);
+  await sendAlert(
+    `📊 ${executed.provider.name} (fee ${formatAmount(plan.loanAsset, executed.provider.fee(plan.loanAmount))}) | ` +
+    `Simulated net of gas: $${executed.simNetProfit.toFixed(2)} | Realized net of gas: $${executed.netProfit.toFixed(2)}` +
+    `${alternatives.length ? ` | ${alternatives.join(' | ')} (before gas)` : ''}`
+  );
+  return executed;
 }
 
 // ===========================================================
@@ -322,16 +773,34 @@ async function executeWithFallback(params, pool, estProfit) {
 // ===========================================================
 const PRIVATE_RPC_TIMEOUT_MS = Number(process.env.PRIVATE_RPC_TIMEOUT_MS || 5000);
 
-async function sendWithRpcFallback(txReq, nonce) {
+// USD → MATIC/POL wei (for the profit cap on the tip)
+function usdToNativeWei(usd, nativeUsd) {
+  if (!(usd > 0) || !(nativeUsd > 0)) return 0n;
+  return ethers.parseUnits((usd / nativeUsd).toFixed(18), 18);
+}
+
+// Fee fields from gasstrategy.js for `route`, replacing whatever populateTransaction picked;
+// without a MATIC/POL price the tip is left uncapped. Throws (nothing is sent) when the
+// profit cannot pay the minimum tip on that route.
+async function withStrategyFees(populated, route, profitUsd) {
+  const native = profitUsd == null ? null : await protection.getNativePriceUSD();
+  const profitWei = native ? usdToNativeWei(profitUsd, native.usd) : undefined;
+  const fees = await quoteFees(baseProvider, { route, gasLimit: BigInt(populated.gasLimit), profitWei });
+  if (fees.skip) throw new Error(`${route} tip capped by profit below the minimum`);
+  const { gasPrice, ...rest } = populated;
+  return { ...rest, type: 2, maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas };
+}
+
+async function sendWithRpcFallback(txReq, nonce, profitUsd) {
   // Ensure chainId/nonce are set exactly as your logic expects
   txReq.chainId ??= CHAIN_ID;
   txReq.nonce   ??= nonce;
 
-  // 1) Populate fees/limits ONCE using the baseProvider tied to wallet
-  const populated = await wallet.populateTransaction({
-    ...txReq,
-    // preserve any fee fields already present in txReq
-  });
+  // 1) Populate limits ONCE using the baseProvider tied to wallet. Fee fields already in txReq
+  //    (gas gate, nonce-manager replacements) are kept; otherwise the private-relay policy applies.
+  const hasFees = txReq.maxFeePerGas != null || txReq.gasPrice != null;
+  let populated = await wallet.populateTransaction({ ...txReq });
+  if (!hasFees) populated = await withStrategyFees(populated, 'private', profitUsd);
 
   // 2) Sign once (offline). Deterministic raw transaction.
   const signedRaw = await wallet.signTransaction(populated);
@@ -350,10 +819,12 @@ async function sendWithRpcFallback(txReq, nonce) {
       const prov = new ethers.JsonRpcProvider(item.url, { name: 'polygon', chainId: CHAIN_ID });
       const txHash = await sendRawWithTimeout(prov, signedRaw, PRIVATE_RPC_TIMEOUT_MS);
       console.log(`🚀 Sent via ${item.name}: ${txHash}`);
-      // Return a tx-like object with wait() for Logic 11–15 compatibility
+      nonces.track(populated, txHash);
+      // Return a tx-like object with wait() for Logic 11–15 compatibility;
+      // waits on the nonce, whichever of its replacements gets mined
       return {
         hash: txHash,
-        wait: async (confirms = 1) => baseProvider.waitForTransaction(txHash, confirms),
+        wait: async () => nonces.wait(Number(populated.nonce)),
       };
     } catch (e) {
       lastError = e;
@@ -361,6 +832,23 @@ async function sendWithRpcFallback(txReq, nonce) {
     }
   }
 
+  // 4) Public mempool, opt-in: visible to every searcher, so re-priced with the public policy
+  if (PUBLIC_MEMPOOL_FALLBACK && profitUsd != null) {
+    try {
+      const repriced = await withStrategyFees(populated, 'public', profitUsd);
+      const txHash = await sendRawWithTimeout(baseProvider, await wallet.signTransaction(repriced), PRIVATE_RPC_TIMEOUT_MS);
+      console.log(`📢 Sent via public mempool: ${txHash}`);
+      nonces.track(repriced, txHash);
+      return {
+        hash: txHash,
+        wait: async () => nonces.wait(Number(repriced.nonce)),
+      };
+    } catch (e) {
+      lastError = e;
+      console.warn(`⚠️ Public mempool send failed: ${e?.message || e}`);
+    }
+  }
+
   throw new Error(`All private RPC sends failed. Last error: ${lastError?.message ?? 'unknown'}`);
 }
 
@@ -406,4 +894,5 @@ async function sendRawWithTimeout(provider, signedRaw, timeoutMs) {
 // ===========================================================
 console.log('[BOT] hybridSimulationBot running (Ethers v6, 15 logics intact; NO WebSockets)');
 const stopFeed = listenForBlocks(); // HTTP-backed block feed
+const stopNonceWatch = nonces?.start(); // stuck-tx speed-up / cancel
 setInterval(processTransactions, BOT_INTERVAL_MS);
@@ -0,0 +1,181 @@
+// kyberpools.js — KyberSwap Elastic pools venue adapter (ESM + Ethers v6)
+// Discovers pools from the Elastic factory, reads getPoolState()/getLiquidityState()
+// and quotes with Kyber's reinvestment-curve swap math (SwapMath.sol, BigInt).
+
+import { ethers } from 'ethers';
+import { sqrtPriceAtTick } from './v3ticks.js';
+
+// ---------- ABIs ----------
+const KYBER_FACTORY_ABI = [
+  'event PoolCreated(address indexed token0, address indexed token1, uint24 indexed swapFeeUnits, int24 tickDistance, address pool)'
+];
+
+const KYBER_POOL_ABI = [
+  'function getPoolState() view returns (uint160 sqrtP, int24 currentTick, int24 nearestCurrentTick, bool locked)',
+  'function getLiquidityState() view returns (uint128 baseL, uint128 reinvestL, uint128 reinvestLLast)',
+  'function initializedTicks(int24 tick) view returns (int24 previous, int24 next)',
+  'function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside, uint128 secondsPerLiquidityOutside)'
+];
+const ERC20_BALANCE_ABI = ['function balanceOf(address) view returns (uint256)'];
+
+const FACTORY_IFACE = new ethers.Interface(KYBER_FACTORY_ABI);
+const POOL_CREATED_TOPIC = FACTORY_IFACE.getEvent('PoolCreated').topicHash;
+
+// Elastic pools emit the same Swap(address,address,int256,int256,uint160,uint128,int24) as Uniswap V3
+const SWAP_TOPIC = '0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67';
+
+const Q96 = 2n ** 96n;
+const TWO_FEE_UNITS_PRECISION = 200_000n; // fee units are 1e-5
+
+// ---------- SWAP MATH ----------
+const mulDivFloor = (a, b, d) => (a * b) / d;
+const mulDivCeil = (a, b, d) => ((a * b) % d === 0n ? (a * b) / d : (a * b) / d + 1n);
+
+// Range baseL holds over: [nearestCurrentTick, next initialized tick]. From exactly the
+// lower edge a sell of token0 first crosses it, which leaves baseL - liquidityNet over
+// [previous, lower]. null without tick data (state read before ticks were loaded).
+function kyberRange(state, zeroForOne) {
+  if (state.lowerTick == null || state.upperTick == null) return null;
+  if (!zeroForOne) return { target: sqrtPriceAtTick(state.upperTick), baseL: state.baseL };
+  const lower = sqrtPriceAtTick(state.lowerTick);
+  if (state.sqrtP > lower) return { target: lower, baseL: state.baseL };
+  if (state.previousTick == null || state.lowerLiquidityNet == null) return null;
+  return { target: sqrtPriceAtTick(state.previousTick), baseL: state.baseL - state.lowerLiquidityNet };
+}
+
+// Input that moves the price from sqrtP to target on the reinvestment curve (the nextSqrtP
+// formulas below solved for absDelta); null when the fee term makes it unreachable
+function inputToTarget(liquidity, sqrtP, target, feeUnits, zeroForOne) {
+  const den = zeroForOne
+    ? sqrtP * (TWO_FEE_UNITS_PRECISION * target - sqrtP * feeUnits)
+    : Q96 * (TWO_FEE_UNITS_PRECISION * sqrtP - target * feeUnits);
+  if (den <= 0n) return null;
+  const priceMove = zeroForOne ? sqrtP - target : target - sqrtP;
+  const num = liquidity * priceMove * TWO_FEE_UNITS_PRECISION * (zeroForOne ? Q96 : sqrtP);
+  return num / den;
+}
+
+/**
+ * Exact-in quote over the current tick range. Fees are reinvested as extra
+ * liquidity (deltaL) rather than skimmed, which is what makes the curve differ
+ * from Uniswap V3. Holding the liquidity constant past an initialized tick would
+ * over-quote, so input beyond the range edge is not counted, and the output never
+ * exceeds the pool's balance. Without tick data the whole input is quoted in range.
+ * @returns {bigint}
+ */
+export function kyberQuote(state, zeroForOne, amountIn) {
+  let absDelta = BigInt(amountIn);
+  const range = kyberRange(state, zeroForOne);
+  const liquidity = (range ? range.baseL : state.baseL) + state.reinvestL;
+  const currentSqrtP = state.sqrtP;
+  const feeUnits = BigInt(state.swapFeeUnits);
+  if (absDelta <= 0n || liquidity <= 0n || currentSqrtP <= 0n) return 0n;
+
+  const room = range && inputToTarget(liquidity, currentSqrtP, range.target, feeUnits, zeroForOne);
+  if (room != null && absDelta > room) absDelta = room;
+  if (absDelta <= 0n) return 0n;
+
+  let out;
+  if (zeroForOne) {
+    const deltaL = mulDivFloor(currentSqrtP, absDelta * feeUnits, TWO_FEE_UNITS_PRECISION << 96n);
+    const tmp = mulDivFloor(absDelta, currentSqrtP, Q96);
+    const nextSqrtP = mulDivCeil(liquidity + deltaL, currentSqrtP, liquidity + tmp);
+    out = mulDivFloor(liquidity, currentSqrtP - nextSqrtP, Q96) - mulDivCeil(deltaL, nextSqrtP, Q96);
+  } else {
+    const deltaL = mulDivFloor(Q96, absDelta * feeUnits, TWO_FEE_UNITS_PRECISION * currentSqrtP);
+    const tmp = mulDivFloor(absDelta, Q96, currentSqrtP);
+    const nextSqrtP = mulDivFloor(liquidity + tmp, currentSqrtP, liquidity + deltaL);
+    out = mulDivFloor(liquidity, Q96, currentSqrtP) - mulDivCeil(liquidity + deltaL, Q96, nextSqrtP);
+  }
+
+  // Never quote more than the pool actually holds
+  const held = BigInt((zeroForOne ? state.balance1 : state.balance0) ?? out);
+  return out > held ? held : (out > 0n ? out : 0n);
+}
+
+// ---------- STATE ----------
+async function readKyberState(provider, meta) {
+  const pool = new ethers.Contract(meta.pairAddr, KYBER_POOL_ABI, provider);
+  const [poolState, liqState, balance0, balance1] = await Promise.all([
+    pool.getPoolState(),
+    pool.getLiquidityState(),
+    new ethers.Contract(meta.token0, ERC20_BALANCE_ABI, provider).balanceOf(meta.pairAddr),
+    new ethers.Contract(meta.token1, ERC20_BALANCE_ABI, provider).balanceOf(meta.pairAddr)
+  ]);
+  // Range edges for kyberQuote: the initialized ticks either side of the price
+  const nearest = poolState[2];
+  const [links, nearestTick] = await Promise.all([pool.initializedTicks(nearest), pool.ticks(nearest)]);
+  return {
+    swapFeeUnits: meta.swapFeeUnits,
+    sqrtP: poolState[0],
+    tick: Number(poolState[1]),
+    lowerTick: Number(nearest),
+    upperTick: Number(links[1]),
+    previousTick: Number(links[0]),
+    lowerLiquidityNet: nearestTick[1],
+    baseL: liqState[0],
+    reinvestL: liqState[1],
+    balance0,
+    balance1
+  };
+}
+
+// ---------- ADAPTER ----------
+export const kyberAdapter = {
+  kind: 'kyber',
+  swapTopics: [SWAP_TOPIC],
+
+  async discover({ scanLogs, provider, factories, startBlock }) {
+    const latest = await provider.getBlockNumber();
+    const metas = [];
+    for (const factory of factories) {
+      const logs = await scanLogs({ address: factory, topics: [POOL_CREATED_TOPIC] }, startBlock, latest);
+      for (const log of logs) {
+        try {
+          const { args } = FACTORY_IFACE.parseLog(log);
+          metas.push({
+            pairAddr: args.pool,
+            token0: args.token0,
+            token1: args.token1,
+            swapFeeUnits: Number(args.swapFeeUnits),
+            tickDistance: Number(args.tickDistance)
+          });
+        } catch (err) {
+          console.error('Error decoding Kyber PoolCreated log', log.transactionHash, err.message);
+        }
+      }
+    }
+    return metas;
+  },
+
+  async load({ provider }, dexName, meta) {
+    const state = await readKyberState(provider, meta);
+    if (state.baseL + state.reinvestL === 0n) return [];
+    return [{
+      dex: dexName,
+      kind: 'kyber',
+      ...meta,
+      feeBps: meta.swapFeeUnits / 10, // 1e-5 units → bps
+      state
+    }];
+  },
+
+  async refresh({ provider }, pool) {
+    Object.assign(pool.state, await readKyberState(provider, pool));
+    return pool;
+  },
+
+  // sqrtP encodes token1/token0; invert for token0 per token1
+  price(pool) {
+    const s = Number(pool.state.sqrtP) / 2 ** 96;
+    return s > 0 ? 1 / (s * s) : 0;
+  },
+
+  balances(pool) {
+    return [pool.state.balance0, pool.state.balance1];
+  },
+
+  quote(pool, tokenIn, amountIn) {
+    return kyberQuote(pool.state, tokenIn.toLowerCase() === pool.token0.toLowerCase(), amountIn);
+  }
+};
@@ -0,0 +1,89 @@
+// multicall.js — Multicall3 aggregate3 batching (ESM + Ethers v6)
+// Packs many view calls into a handful of eth_calls. Every call is sent with
+// allowFailure, so one reverting target only nulls its own result.
+
+import { ethers } from 'ethers';
+
+// Same address on Polygon and every other chain Multicall3 is deployed to
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+const MULTICALL3_IFACE = new ethers.Interface(MULTICALL3_ABI);
+
+export const DEFAULT_BATCH_SIZE = 500;
+const MIN_SPLIT_SIZE = 25; // stop halving a failing batch below this and surface the RPC error
+
+const ifaceCache = new WeakMap();
+function toIface(abiOrIface) {
+  if (abiOrIface instanceof ethers.Interface) return abiOrIface;
+  if (!ifaceCache.has(abiOrIface)) ifaceCache.set(abiOrIface, new ethers.Interface(abiOrIface));
+  return ifaceCache.get(abiOrIface);
+}
+
+async function aggregate3(provider, address, batch, blockTag) {
+  const data = MULTICALL3_IFACE.encodeFunctionData('aggregate3', [
+    batch.map(c => ({ target: c.target, allowFailure: true, callData: c.callData }))
+  ]);
+  const raw = await provider.call({ to: address, data, blockTag });
+  return MULTICALL3_IFACE.decodeFunctionResult('aggregate3', raw)[0];
+}
+
+// A batch rejected as a whole (gas cap, response size) is split in half and retried
+async function runBatch(provider, address, batch, blockTag) {
+  try {
+    return await aggregate3(provider, address, batch, blockTag);
+  } catch (err) {
+    if (batch.length < MIN_SPLIT_SIZE * 2) throw err;
+    const mid = Math.floor(batch.length / 2);
+    const left = await runBatch(provider, address, batch.slice(0, mid), blockTag);
+    const right = await runBatch(provider, address, batch.slice(mid), blockTag);
+    return [...left, ...right];
+  }
+}
+
+/**
+ * Run view calls through Multicall3.aggregate3, `batchSize` calls per eth_call.
+ * @param {ethers.Provider} provider
+ * @param {{ target: string, abi: ethers.Interface|string[], method: string, args?: any[] }[]} calls
+ * @param {{ batchSize?: number, address?: string, blockTag?: number|string }} [opts]
+ *   blockTag: read every batch at this block (default 'latest')
+ * @returns {Promise<any[]>} one entry per call, in order: the decoded return value
+ *   (unwrapped when the function has a single output) or null if that call failed
+ */
+export async function multicall(provider, calls, { batchSize = DEFAULT_BATCH_SIZE, address = MULTICALL3_ADDRESS, blockTag } = {}) {
+  const encoded = calls.map(c => {
+    const iface = toIface(c.abi);
+    return { target: c.target, iface, method: c.method, callData: iface.encodeFunctionData(c.method, c.args || []) };
+  });
+
+  const results = [];
+  for (let i = 0; i < encoded.length; i += batchSize) {
+    const batch = encoded.slice(i, i + batchSize);
+    const returned = await runBatch(provider, address, batch, blockTag);
+    returned.forEach((r, k) => {
+      const c = batch[k];
+      if (!r.success || r.returnData === '0x') return results.push(null);
+      try {
+        const decoded = c.iface.decodeFunctionResult(c.method, r.returnData);
+        results.push(decoded.length === 1 ? decoded[0] : decoded);
+      } catch {
+        results.push(null);
+      }
+    });
+  }
+  return results;
+}
+
+/**
+ * Same call list fanned out over many targets; returns one array of results per target.
+ * @param {string[]} targets
+ * @param {{ abi: ethers.Interface|string[], method: string, args?: any[] }[]} perTarget
+ */
+export async function multicallEach(provider, targets, perTarget, opts) {
+  const calls = targets.flatMap(target => perTarget.map(c => ({ ...c, target })));
+  const flat = await multicall(provider, calls, opts);
+  const n = perTarget.length;
+  return targets.map((_, i) => flat.slice(i * n, i * n + n));
+}
@@ -0,0 +1,199 @@
+// noncemanager.js — local nonce allocation + stuck-transaction speed-up / cancel (ESM + Ethers v6)
+// Nonces come from one local counter instead of wallet.getNonce() per call, so overlapping
+// runs never share one. Every sent tx is tracked by nonce; one still unmined after
+// `stuckBlocks` blocks is re-sent with the same nonce and bumped fees, and once out of
+// speed-ups it is replaced by a 0-value self-transfer (cancel). The counter is synced
+// from chain on first use, so txs left pending by a previous run are picked up too.
+
+import { ethers } from 'ethers';
+
+const CANCEL_GAS_LIMIT = 21_000n;
+
+/**
+ * @param {ethers.Wallet} wallet
+ * @param {ethers.Provider} provider
+ * @param {{ send: (txReq: object) => Promise<{ hash: string }>, stuckBlocks?: number, maxSpeedUps?: number,
+ *           bumpPct?: number, maxFeeGwei?: number, pollMs?: number }} opts
+ *   send: signs and broadcasts a fully specified tx, and reports it back through track()
+ *   bumpPct: fee increase per replacement (nodes require at least 10%)
+ */
+export function createNonceManager(wallet, provider, {
+  send,
+  stuckBlocks = 3,
+  maxSpeedUps = 2,
+  bumpPct = 15,
+  maxFeeGwei = 1000,
+  pollMs = 4000
+}) {
+  const maxFee = ethers.parseUnits(String(maxFeeGwei), 'gwei');
+  const bump = (fee) => (BigInt(fee) * BigInt(100 + bumpPct) + 99n) / 100n;
+  const capped = (fee) => (fee > maxFee ? maxFee : fee);
+  const max = (a, b) => (a > b ? a : b);
+
+  let next = null;           // next never-used nonce
+  let mined = 0;             // chain 'latest' count as last read: every nonce below it is used
+  let lastBlock = 0;
+  const free = new Map();    // nonce → block it was released at (acquired, never sent)
+  const pending = new Map(); // nonce → { tx, hashes, sentBlock, speedUps, cancelled, waiters }
+
+  // acquire/release/resync run one at a time
+  let queue = Promise.resolve();
+  const serial = (fn) => {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  function entryFor(nonce) {
+    if (!pending.has(nonce)) pending.set(nonce, { tx: null, hashes: [], sentBlock: lastBlock, speedUps: 0, cancelled: false, waiters: [] });
+    return pending.get(nonce);
+  }
+
+  async function resync() {
+    const [latest, chainPending, block] = await Promise.all([
+      provider.getTransactionCount(wallet.address, 'latest'),
+      provider.getTransactionCount(wallet.address, 'pending'),
+      provider.getBlockNumber()
+    ]);
+    lastBlock = block;
+    mined = Math.max(mined, latest);
+    for (const n of free.keys()) if (n < latest) free.delete(n);
+    // Left in the mempool by an earlier run: fields unknown, so they can only be cancelled
+    for (let n = latest; n < chainPending; n++) {
+      if (!pending.has(n)) Object.assign(entryFor(n), { speedUps: maxSpeedUps });
+    }
+    next = Math.max(next ?? 0, latest, chainPending);
+    console.log(`[NONCE] Synced: mined ${latest}, pending ${chainPending}, next ${next}`);
+  }
+
+  // Mined (ours or a replacement): hand the receipt to whoever waits on this nonce
+  async function settle(nonce, entry) {
+    let receipt = null;
+    for (const hash of [...entry.hashes].reverse()) {
+      receipt = await provider.getTransactionReceipt(hash).catch(() => null);
+      if (receipt) break;
+    }
+    pending.delete(nonce);
+    for (const resolve of entry.waiters) resolve(receipt);
+  }
+
+  // Same nonce, higher fees: the original tx while speed-ups remain, a self-transfer after
+  async function replace(nonce, entry, block) {
+    const feeData = await provider.getFeeData();
+    const cancel = !entry.tx || entry.cancelled || entry.speedUps >= maxSpeedUps;
+    const prev = entry.tx || {};
+    const tx = cancel
+      ? { to: wallet.address, value: 0n, data: '0x', gasLimit: CANCEL_GAS_LIMIT, chainId: prev.chainId, nonce }
+      : { to: prev.to, value: prev.value, data: prev.data, gasLimit: prev.gasLimit, chainId: prev.chainId, nonce };
+
+    if (prev.gasPrice != null && prev.maxFeePerGas == null) {
+      tx.gasPrice = capped(max(bump(prev.gasPrice), feeData.gasPrice ?? 0n));
+    } else {
+      // Unknown fields (earlier run): bump twice over the current fee to outbid whatever is pending
+      const floorFee = prev.maxFeePerGas ?? bump(feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n);
+      const floorTip = prev.maxPriorityFeePerGas ?? bump(feeData.maxPriorityFeePerGas ?? 0n);
+      tx.maxPriorityFeePerGas = capped(max(bump(floorTip), feeData.maxPriorityFeePerGas ?? 0n));
+      tx.maxFeePerGas = capped(max(max(bump(floorFee), feeData.maxFeePerGas ?? 0n), tx.maxPriorityFeePerGas));
+    }
+
+    const label = cancel ? 'Cancel' : `Speed-up #${entry.speedUps + 1}`;
+    const stuckFor = block - entry.sentBlock;
+    try {
+      await send(tx); // send → track() records the new hash and fee fields
+      if (cancel) entry.cancelled = true;
+      else entry.speedUps += 1;
+      console.warn(`[NONCE] ${label} for nonce ${nonce} (stuck ${stuckFor} blocks)`);
+    } catch (e) {
+      console.warn(`[NONCE] ${label} for nonce ${nonce} failed: ${e?.message || e}`);
+    }
+    entry.sentBlock = block; // retry only after another stuckBlocks
+  }
+
+  async function check() {
+    const [block, latest] = await Promise.all([
+      provider.getBlockNumber(),
+      provider.getTransactionCount(wallet.address, 'latest')
+    ]);
+    lastBlock = block;
+    mined = Math.max(mined, latest);
+    if (next != null && latest > next) next = latest; // sent outside this process
+
+    for (const [nonce, entry] of [...pending]) {
+      if (nonce < latest) await settle(nonce, entry);
+      else if (block - entry.sentBlock >= stuckBlocks) await replace(nonce, entry, block);
+    }
+
+    // A released nonce below a sent one holds it back; fill the gap if nobody reused it
+    const highestSent = Math.max(-1, ...pending.keys());
+    for (const [nonce, releasedAt] of [...free]) {
+      if (nonce < latest) free.delete(nonce);
+      else if (nonce < highestSent && block - releasedAt >= stuckBlocks) {
+        free.delete(nonce);
+        await replace(nonce, entryFor(nonce), block);
+      }
+    }
+  }
+
+  let timer = null;
+  let busy = false;
+
+  return {
+    /** Next nonce for this wallet (lowest released one first). Pair with track() or release(). */
+    acquire: () => serial(async () => {
+      if (next == null) await resync();
+      for (const n of free.keys()) if (n < mined) free.delete(n);
+      if (free.size) {
+        const nonce = Math.min(...free.keys());
+        free.delete(nonce);
+        return nonce;
+      }
+      return next++;
+    }),
+
+    /** Give back a nonce that was never broadcast (ignored once the chain has used it). */
+    release(nonce) {
+      if (nonce < mined || pending.has(nonce)) return;
+      free.set(nonce, lastBlock);
+    },
+
+    /** Record a broadcast tx (the populated fields that were signed) under its nonce. */
+    track(txReq, hash) {
+      const nonce = Number(txReq.nonce);
+      const entry = entryFor(nonce);
+      entry.tx = txReq;
+      entry.hashes.push(hash);
+      entry.sentBlock = lastBlock;
+      free.delete(nonce);
+      if (next != null && nonce >= next) next = nonce + 1;
+    },
+
+    /** Receipt of whichever tx ends up mined at `nonce` (a speed-up or the cancel), null if none of ours. */
+    wait(nonce) {
+      const entry = pending.get(nonce);
+      if (!entry) return Promise.resolve(null);
+      return new Promise(resolve => entry.waiters.push(resolve));
+    },
+
+    /** Re-read the counter from chain (e.g. after a "nonce too low" rejection). */
+    resync: () => serial(resync),
+
+    /** Poll for mined / stuck txs every pollMs. @returns {() => void} stop */
+    start() {
+      timer ??= setInterval(async () => {
+        if (busy) return;
+        busy = true;
+        try {
+          await check();
+        } catch (e) {
+          console.warn(`[NONCE] Check failed: ${e?.message || e}`);
+        } finally {
+          busy = false;
+        }
+      }, pollMs);
+      return () => {
+        clearInterval(timer);
+        timer = null;
+      };
+    }
+  };
+}
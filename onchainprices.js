@@ -0,0 +1,118 @@
+// onchainprices.js — USD prices derived from the pool graph, no HTTP price API (ESM + Ethers v6)
+// Anchors (USDC / USDC.e / USDT / DAI, WMATIC / WETH) are priced from the Chainlink feeds
+// in chainlinkpricefeed.json; every other token is priced outward from them through the
+// discovered pools, each quote weighted by the USD depth of the pool it came from.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { multicallEach } from './multicall.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FEEDS_PATH = path.join(__dirname, 'chainlinkpricefeed.json');
+
+// chainlinkpricefeed.json symbol → Polygon token(s) it prices
+const ANCHOR_TOKENS = {
+  USDC:  ['0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174'], // USDC, USDC.e
+  USDT:  ['0xc2132D05D31c914a87C6611C10748AEb04B58e8F'],
+  DAI:   ['0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063'],
+  MATIC: ['0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270'], // WMATIC
+  WETH:  ['0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619']
+};
+// Stablecoins fall back to $1 when their feed cannot be read
+const STABLE_SYMBOLS = new Set(['USDC', 'USDT', 'DAI']);
+
+const FEED_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+const FEED_CALLS = [
+  { abi: FEED_ABI, method: 'decimals' },
+  { abi: FEED_ABI, method: 'latestRoundData' }
+];
+const FEED_MAX_AGE_S = 90_000; // longest Chainlink heartbeat on Polygon is 24h
+
+const MIN_DEPTH_USD = 1_000; // pools thinner than this on the priced side are ignored
+const MAX_ROUNDS = 4;        // hops away from an anchor
+
+function loadFeeds() {
+  try {
+    return JSON.parse(fs.readFileSync(FEEDS_PATH, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * USD price of each anchor token from Chainlink (stables default to 1).
+ * @returns {Promise<Object>} map { [lowercaseAddress]: { usd: number } }
+ */
+export async function readAnchorPrices(provider) {
+  const feeds = loadFeeds();
+  const symbols = Object.keys(ANCHOR_TOKENS);
+  const feedAddrs = symbols.map(s => {
+    const entry = feeds[s];
+    return typeof entry === 'string' ? entry : entry?.feedAddress;
+  });
+
+  const withFeed = symbols.filter((_, i) => feedAddrs[i]);
+  const rows = await multicallEach(provider, feedAddrs.filter(Boolean), FEED_CALLS).catch(() => []);
+  const now = Math.floor(Date.now() / 1000);
+
+  const prices = {};
+  for (const symbol of symbols) {
+    const row = rows[withFeed.indexOf(symbol)];
+    let usd = null;
+    if (row?.[0] != null && row?.[1]) {
+      const [dec, round] = row;
+      const fresh = now - Number(round[3]) <= FEED_MAX_AGE_S;
+      if (fresh && round[1] > 0n) usd = Number(round[1]) / 10 ** Number(dec);
+    }
+    if (usd == null && STABLE_SYMBOLS.has(symbol)) usd = 1;
+    if (usd == null) {
+      console.warn(`[onchainprices] no usable ${symbol} feed — pricing it from pools instead`);
+      continue;
+    }
+    for (const t of ANCHOR_TOKENS[symbol]) prices[t.toLowerCase()] = { usd };
+  }
+  return prices;
+}
+
+/**
+ * Price every token reachable from the already-priced set, one hop per round.
+ * A token's price is the depth-weighted mean of rate(token → priced) · usd(priced)
+ * over every pool linking it to a token priced in an earlier round.
+ * @param {object[]} pools
+ * @param {Object} prices  { [lowercaseAddress]: { usd } } — extended in place and returned
+ * @param {{ rate: (pool, tokenIn) => number, balances: (pool) => any[], decimals: (token) => number|undefined }} pricing
+ *   rate: whole units of the other token per whole tokenIn
+ */
+export function derivePricesFromPools(pools, prices, { rate, balances, decimals }, maxRounds = MAX_ROUNDS) {
+  for (let round = 0; round < maxRounds; round++) {
+    const acc = new Map(); // token → { sum, depth }
+
+    for (const pool of pools) {
+      const sides = [[pool.token0, pool.token1, 1], [pool.token1, pool.token0, 0]];
+      for (const [token, pricedToken, pricedIdx] of sides) {
+        const key = token.toLowerCase();
+        const anchor = prices[pricedToken.toLowerCase()]?.usd;
+        if (prices[key] || !anchor) continue;
+
+        const d = decimals(pricedToken);
+        if (d === undefined) continue;
+        const depthUSD = Number(balances(pool)[pricedIdx] || 0) / 10 ** d * anchor;
+        const r = rate(pool, token);
+        if (depthUSD < MIN_DEPTH_USD || !(r > 0) || !Number.isFinite(r)) continue;
+
+        const a = acc.get(key) || { sum: 0, depth: 0 };
+        a.sum += r * anchor * depthUSD;
+        a.depth += depthUSD;
+        acc.set(key, a);
+      }
+    }
+
+    if (!acc.size) break;
+    for (const [token, { sum, depth }] of acc) prices[token] = { usd: sum / depth };
+  }
+  return prices;
+}
@@ -0,0 +1,211 @@
+// opportunitystore.js — upsert store for direct_pool.json / tri_pool.json (ESM + Ethers v6)
+// Records are keyed by a deterministic id (hash of type, ordered pools and route), so the
+// same opportunity seen again is updated in place instead of appended, and records that
+// have not been seen for `ttlBlocks` blocks are dropped. Consumers claim records in a
+// separate, locked `<file>.claims` file (see CLAIMS below).
+
+import fs from 'node:fs';
+import { ethers } from 'ethers';
+
+/**
+ * Stable id for an opportunity: same pools, same route, same direction → same id.
+ * @param {'direct'|'cycle'} type
+ * @param {{ pools: string[], route: string[] }} rec
+ */
+export function opportunityId(type, rec) {
+  const key = [
+    type,
+    (rec.pools || []).map(a => a.toLowerCase()).join(','),
+    (rec.route || []).map(a => a.toLowerCase()).join(',')
+  ].join('|');
+  return ethers.id(key).slice(0, 34); // 16 bytes is plenty to avoid collisions
+}
+
+// Accept both a bare array and the older { trades: [] } shape
+function load(file) {
+  try {
+    if (!fs.existsSync(file)) return [];
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Array.isArray(parsed)) return parsed;
+    if (parsed && Array.isArray(parsed.trades)) return parsed.trades;
+    return [];
+  } catch (err) {
+    console.error(`[opportunitystore] Failed to read ${file}:`, err.message);
+    return [];
+  }
+}
+
+// temp file + rename so readers never see a half-written file
+function save(file, records) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+const isLive = (rec, blockNumber, ttlBlocks) =>
+  Number.isInteger(rec.lastSeenBlock) && blockNumber - rec.lastSeenBlock <= ttlBlocks;
+
+/**
+ * Insert or refresh opportunities seen at `blockNumber`, then drop expired ones.
+ * Existing records keep their id, firstSeenBlock and any consumer-set fields.
+ * @param {string} file
+ * @param {'direct'|'cycle'} type
+ * @param {object[]} records  must carry `pools` and `route`
+ * @returns {object[]} the stored records, best estProfitUSD first
+ */
+export function upsertOpportunities(file, type, records, blockNumber, { ttlBlocks }) {
+  const byId = new Map(load(file).filter(r => r.id).map(r => [r.id, r]));
+
+  for (const rec of records) {
+    const id = opportunityId(type, rec);
+    const prev = byId.get(id);
+    byId.set(id, {
+      ...prev,
+      ...rec,
+      id,
+      type,
+      firstSeenBlock: prev?.firstSeenBlock ?? blockNumber,
+      lastSeenBlock: blockNumber
+    });
+  }
+
+  const live = [...byId.values()]
+    .filter(r => isLive(r, blockNumber, ttlBlocks))
+    .sort((a, b) => (b.estProfitUSD || 0) - (a.estProfitUSD || 0));
+  save(file, live);
+  return live;
+}
+
+/**
+ * Replace the whole file with the result of a full scan at `blockNumber`. Opportunities
+ * still present keep their firstSeenBlock; the rest are dropped.
+ * @returns {object[]} the stored records, best estProfitUSD first
+ */
+export function replaceOpportunities(file, type, records, blockNumber) {
+  const prevById = new Map(load(file).filter(r => r.id).map(r => [r.id, r]));
+  const next = records.map(rec => {
+    const id = opportunityId(type, rec);
+    const prev = prevById.get(id);
+    return {
+      ...rec,
+      id,
+      type,
+      firstSeenBlock: prev?.firstSeenBlock ?? blockNumber,
+      lastSeenBlock: blockNumber
+    };
+  }).sort((a, b) => (b.estProfitUSD || 0) - (a.estProfitUSD || 0));
+  save(file, next);
+  return next;
+}
+
+/**
+ * Drop records not seen within `ttlBlocks` of `blockNumber`; writes only when something expired.
+ * @returns {number} records removed
+ */
+export function expireOpportunities(file, blockNumber, { ttlBlocks }) {
+  const all = load(file);
+  const live = all.filter(r => r.id && isLive(r, blockNumber, ttlBlocks));
+  if (live.length !== all.length) save(file, live);
+  return all.length - live.length;
+}
+
+// ---------- CLAIMS ----------
+// Claims are kept beside the opportunity file in `<file>.claims` (id → { claimedBy, claimedAt }),
+// since poolfetcher rewrites the opportunity file every block. Every read-modify-write of a
+// claims file holds `<file>.claims.lock`, so two consumers never both win the same claim.
+const LOCK_WAIT_MS = 2_000;
+const LOCK_STALE_MS = 5_000; // a lock this old was left behind by a dead process
+
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+function loadClaims(file) {
+  try {
+    return JSON.parse(fs.readFileSync(`${file}.claims`, 'utf8')) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Run fn(claims) under the lock; claims are written back when fn returns { changed: true }
+function withClaims(file, fn) {
+  const lock = `${file}.claims.lock`;
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lock, 'wx'));
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      try {
+        if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) fs.rmSync(lock, { force: true });
+      } catch {}
+      if (Date.now() > deadline) throw new Error(`[opportunitystore] ${lock} is still held`);
+      sleepSync(10);
+    }
+  }
+  try {
+    const claims = loadClaims(file);
+    const { result, changed } = fn(claims);
+    if (changed) save(`${file}.claims`, claims);
+    return result;
+  } finally {
+    fs.rmSync(lock, { force: true });
+  }
+}
+
+const isLiveClaim = (claim, ttlMs) => !!claim && Date.now() - (claim.claimedAt || 0) < ttlMs;
+
+/**
+ * Holder of a live claim on an opportunity (read without the lock).
+ * @returns {string|null}
+ */
+export function claimHolder(file, id, { ttlMs = Infinity } = {}) {
+  const claim = loadClaims(file)[id];
+  return isLiveClaim(claim, ttlMs) ? claim.claimedBy : null;
+}
+
+/**
+ * Mark an opportunity as taken so other consumers skip it. A claim older than `ttlMs`
+ * (its holder died without releasing it) can be taken over.
+ * @returns {boolean} false if it no longer exists or someone else holds a live claim
+ */
+export function claimOpportunity(file, id, claimer, { ttlMs = Infinity } = {}) {
+  const ids = new Set(load(file).map(r => r.id));
+  if (!ids.has(id)) return false;
+  return withClaims(file, (claims) => {
+    const claim = claims[id];
+    if (isLiveClaim(claim, ttlMs) && claim.claimedBy !== claimer) return { result: false };
+    for (const key of Object.keys(claims)) if (!ids.has(key)) delete claims[key]; // opportunity gone
+    claims[id] = { claimedBy: claimer, claimedAt: Date.now() };
+    return { result: true, changed: true };
+  });
+}
+
+/**
+ * Drop `claimer`'s claim so the opportunity can be taken again.
+ * @returns {boolean} false if `claimer` holds no claim on it
+ */
+export function releaseOpportunity(file, id, claimer) {
+  return withClaims(file, (claims) => {
+    if (claims[id]?.claimedBy !== claimer) return { result: false };
+    delete claims[id];
+    return { result: true, changed: true };
+  });
+}
+
+/**
+ * Remove an opportunity (and any claim on it) by id.
+ * @returns {boolean} true if it was present
+ */
+export function removeOpportunity(file, id) {
+  withClaims(file, (claims) => {
+    if (!(id in claims)) return {};
+    delete claims[id];
+    return { changed: true };
+  });
+  const all = load(file);
+  const rest = all.filter(r => r.id !== id);
+  if (rest.length === all.length) return false;
+  save(file, rest);
+  return true;
+}
@@ -0,0 +1,68 @@
+// pairindex.js — on-disk V2 pair registry, one file per factory (ESM)
+// Stores the last enumerated allPairsLength and the static pair metadata
+// (index → pair address, token0, token1) so a restart only reads new indices.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { ethers } from 'ethers';
+
+const PAIR_INDEX_DIR = './pair_index';
+const PAIR_INDEX_VERSION = 1;
+
+function indexFile(factoryAddr) {
+  return path.join(PAIR_INDEX_DIR, `${factoryAddr.toLowerCase()}.json`);
+}
+
+function isValidEntry(e) {
+  return e === null || (
+    e && ethers.isAddress(e.pairAddr) && ethers.isAddress(e.token0) && ethers.isAddress(e.token1)
+  );
+}
+
+/**
+ * Load the cached index for a factory.
+ * @returns {{ allPairsLength: number, pairs: ({ pairAddr, token0, token1 }|null)[] } | null}
+ *   null when the file is missing, unreadable or fails validation (caller rebuilds)
+ */
+export function loadPairIndex(factoryAddr) {
+  const file = indexFile(factoryAddr);
+  if (!fs.existsSync(file)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const ok =
+      data?.version === PAIR_INDEX_VERSION &&
+      data.factory === factoryAddr.toLowerCase() &&
+      Number.isInteger(data.allPairsLength) &&
+      Array.isArray(data.pairs) &&
+      data.pairs.length === data.allPairsLength &&
+      data.pairs.every(isValidEntry);
+    if (!ok) {
+      console.warn(`[pairindex] ${file} failed validation — rebuilding`);
+      return null;
+    }
+    return { allPairsLength: data.allPairsLength, pairs: data.pairs };
+  } catch (err) {
+    console.warn(`[pairindex] ${file} unreadable (${err.message}) — rebuilding`);
+    return null;
+  }
+}
+
+/**
+ * Persist the index. Written to a temp file and renamed so a crash mid-write
+ * never leaves a truncated cache behind.
+ * @param {({ pairAddr, token0, token1 }|null)[]} pairs  one entry per allPairs index; null = not yet read
+ */
+export function savePairIndex(factoryAddr, dexName, pairs) {
+  fs.mkdirSync(PAIR_INDEX_DIR, { recursive: true });
+  const file = indexFile(factoryAddr);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({
+    version: PAIR_INDEX_VERSION,
+    factory: factoryAddr.toLowerCase(),
+    dex: dexName,
+    allPairsLength: pairs.length,
+    updatedAt: new Date().toISOString(),
+    pairs
+  }));
+  fs.renameSync(tmp, file);
+}
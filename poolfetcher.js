@@ -9,9 +9,30 @@ import fs from 'node:fs';
 import path from 'node:path';
 import { spawnSync } from 'node:child_process';
 
-import dexConfig from './dexconfig.json' assert { type: 'json' };
-import { FACTORIES } from './factories.js';
+import dexConfig from './dexconfig.json' with { type: 'json' };
+import { ABI, FACTORIES } from './factories.js';
 import factoryABIs from './factory_ABI.js'; // assumed export of ABIs
+import {
+  POOL_REGISTERED_TOPIC,
+  BALANCER_SWAP_TOPIC,
+  parsePoolRegistered,
+  getBalancerPoolState,
+  balancerSpotPrice,
+  balancerPoolLegs
+} from './balancerpools.js';
+import { fetchCurvePools, getCurvePoolState, curveSpotPrice, curvePoolLegs, CURVE_SWAP_TOPICS } from './curvepools.js';
+import { dodoAdapter } from './dodopools.js';
+import { kyberAdapter } from './kyberpools.js';
+import { multicall, multicallEach } from './multicall.js';
+import { loadTickWindows } from './v3ticks.js';
+import { loadPairIndex, savePairIndex } from './pairindex.js';
+import { loadTokenMeta, tokenDecimals } from './tokenmeta.js';
+import { classifyTokens, isFlaggedToken } from './tokensafety.js';
+import { FLASH_SOURCE_KINDS } from './flashsources.js';
+import { optimalAmountIn } from './quoter.js';
+import { createTokenGraph } from './cyclesearch.js';
+import { readAnchorPrices, derivePricesFromPools } from './onchainprices.js';
+import { upsertOpportunities, replaceOpportunities, expireOpportunities } from './opportunitystore.js';
 
 // 1 // === CONFIG (Polygon-only, HTTP RPC failover; NO .env, NO WebSocket) ===
 const RPC_URLS = [
@@ -40,6 +61,11 @@ function addLogListener(filter, handler) {
   provider.on(filter, handler);
   ACTIVE_SUBSCRIPTIONS.push({ kind: 'log', filter, handler });
 }
+function removeLogListener(filter, handler) {
+  provider.off(filter, handler);
+  const i = ACTIVE_SUBSCRIPTIONS.findIndex(s => s.kind === 'log' && s.filter === filter && s.handler === handler);
+  if (i >= 0) ACTIVE_SUBSCRIPTIONS.splice(i, 1);
+}
 
 async function connectProvider() {
   const url = RPC_URLS[currentIndex];
@@ -134,7 +160,7 @@ start();
 const DEX_FEE_BPS = {
   'QuickSwap': 30,
   'QuickSwap V2': 30,
-  'QuickSwap V3': 5,
+  'QuickSwap V3': 5, // fallback only; Algebra pools carry their live dynamic fee
   'SushiSwap': 30,
   'SushiSwap V2': 30,
   'SushiSwap V3': 5,
@@ -148,35 +174,144 @@ const DEFAULT_FEE_BPS = 30;
 const MIN_LIQUIDITY_USD = 50000;
 const ARB_THRESHOLD = 0.01; // 1%
 
+// N-hop cycle search (cyclesearch.js): cycles start and end at a flash-loanable token
+const FLASH_BASE_TOKENS = [
+  '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', // WMATIC
+  '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174', // USDC.e
+  '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', // USDC
+  '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', // USDT
+  '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', // DAI
+  '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', // WETH
+  '0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6'  // WBTC
+];
+const CYCLE_MIN_HOPS = 3; // 2-hop cycles are covered by the direct (same-pair) scan
+const CYCLE_MAX_HOPS = 4; // 2–5
+const SWAP_CYCLE_DEBOUNCE_MS = 500; // swap-led cycle search waits this long for the rest of a block's logs
+const NEW_POOL_WATCH_BLOCKS = 1800;  // ~1 h: a new pool below the liquidity floor is re-checked this long
+
 // ❌ removed .env; hard-coded defaults preserved
-const NOTIONAL_USD = 10000;
 const MIN_PROFIT_USD = 40;
 
+// CLI: --once keeps the single startup scan; otherwise the full scan repeats
+// every --rescan-blocks=N blocks, or every --rescan-seconds=S seconds when given
+const ARGV = process.argv.slice(2);
+const argValue = (name) => ARGV.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+const ONE_SHOT = ARGV.includes('--once');
+const RESCAN_EVERY_BLOCKS = Number(argValue('rescan-blocks') || 15);
+const RESCAN_EVERY_SECONDS = Number(argValue('rescan-seconds') || 0);
+
+// Opportunity files (opportunitystore.js): upserted by id, dropped once unseen for the TTL
+const DIRECT_POOL_FILE = 'direct_pool.json';
+const TRI_POOL_FILE = 'tri_pool.json';
+const OPPORTUNITY_TTL_BLOCKS = 30; // ~1 min of Polygon blocks
+
+// USD prices: 'onchain' walks the pool graph out from Chainlink-priced anchors
+// (onchainprices.js, no HTTP API); 'coingecko' uses getTokenPrices below
+const PRICE_SOURCE = 'onchain';
+
+// Multicall3 batching for pair enumeration / reserve reads
+const MULTICALL_BATCH_SIZE = 500; // calls per aggregate3 eth_call
+
 function feeBpsForDex(name) {
   return DEX_FEE_BPS[name] ?? DEFAULT_FEE_BPS;
 }
 
+// Pools that know their own fee (V3 fee tiers, Algebra dynamic fee) override the per-DEX default
+function feeBpsForPool(pool) {
+  return Number.isFinite(pool?.feeBps) ? pool.feeBps : feeBpsForDex(pool?.dex);
+}
+
+// Call sites may pass either a DEX name or a pool record
+function feeBpsOf(dexOrPool) {
+  return typeof dexOrPool === 'string' ? feeBpsForDex(dexOrPool) : feeBpsForPool(dexOrPool);
+}
+
 function bpsToFrac(bps) {
   return bps / 10_000;
 }
 
 function estimateDirectEdge(priceA, priceB, dexA, dexB) {
+  if (!(priceA > 0 && priceB > 0)) return 0; // unpriced side (empty pool / unknown decimals)
   const relDiff = Math.abs(priceA - priceB) / ((priceA + priceB) / 2 || 1);
-  const fee = bpsToFrac(feeBpsForDex(dexA)) + bpsToFrac(feeBpsForDex(dexB));
+  const fee = bpsToFrac(feeBpsOf(dexA)) + bpsToFrac(feeBpsOf(dexB));
   const edge = relDiff - fee;
   return Number.isFinite(edge) ? Math.max(edge, 0) : 0;
 }
 
 function estimateTriEdge(cycleRate, dexs) {
   const gross = (Number(cycleRate) || 0) - 1;
-  const totalFees = (dexs || []).reduce((s, d) => s + bpsToFrac(feeBpsForDex(d)), 0);
+  const totalFees = (dexs || []).reduce((s, d) => s + bpsToFrac(feeBpsOf(d)), 0);
   const edge = gross - totalFees;
   return Number.isFinite(edge) ? Math.max(edge, 0) : 0;
 }
 
-function edgeToProfitUSD(edgeFrac, notionalUSD = NOTIONAL_USD) {
-  const e = Number(edgeFrac) || 0;
-  return e > 0 ? e * notionalUSD : 0;
+// Size and simulate a cyclic route with quoter.js; pools[i] trades tokens[i] → tokens[i + 1].
+// Returns the record fields, or null when no size is profitable or the start token is unpriced.
+function simulateCycle(pools, tokens, prices) {
+  const start = tokens[0];
+  const hops = pools.map((pool, i) => ({ pool, tokenIn: tokens[i], feeBps: feeBpsOf(pool) }));
+  const [bal0, bal1] = poolBalances(pools[0]);
+  const balIn = BigInt((start.toLowerCase() === pools[0].token0.toLowerCase() ? bal0 : bal1) || 0);
+  const best = optimalAmountIn(hops, balIn / 2n); // never size past half the first pool's input side
+
+  const d = tokenDecimals(start);
+  const usd = prices[start.toLowerCase()]?.usd;
+  if (!best || d === undefined || !usd) return null;
+  return {
+    route: tokens,
+    pools: pools.map(p => p.pairAddr),
+    dexs: pools.map(p => p.dex),
+    kinds: pools.map(p => p.kind),     // venue type per hop (executionplan.js)
+    feesBps: pools.map(feeBpsOf),
+    optimalAmountIn: best.amountIn.toString(),
+    expectedOut: best.amountsOut.map(String), // per hop, raw units
+    netProfit: best.profit.toString(),        // raw units of route[0]
+    netProfitUSD: Number(best.profit) / 10 ** d * usd
+  };
+}
+
+// Spot metrics + sized simulation for a cycle from cyclesearch.js; null below MIN_PROFIT_USD
+function cycleRecord(cycle, prices) {
+  const pools = cycle.hops.map(h => h.pool);
+  const cycleRate = cycle.hops.reduce((r, h) => r * rateOf(h.pool, h.tokenIn), 1);
+  const edge = estimateTriEdge(cycleRate, pools);
+  if (!(edge > 0)) return null;
+  const sim = simulateCycle(pools, cycle.tokens, prices);
+  const estProfitUSD = sim?.netProfitUSD || 0;
+  if (estProfitUSD < MIN_PROFIT_USD) return null;
+  return { cycleRate, edge, ...sim, estProfitUSD };
+}
+
+// Best of the four ways through a same-pair couple (either start token, either pool first)
+function simulateDirect(poolA, poolB, prices) {
+  let best = null;
+  for (const [first, second] of [[poolA, poolB], [poolB, poolA]]) {
+    for (const [start, other] of [[poolA.token0, poolA.token1], [poolA.token1, poolA.token0]]) {
+      const sim = simulateCycle([first, second], [start, other, start], prices);
+      if (sim && (!best || sim.netProfitUSD > best.netProfitUSD)) best = sim;
+    }
+  }
+  return best;
+}
+
+// Pools that could lend the loan token as a flash swap / flash loan (flashsources.js):
+// V2, V3 and DODO pools holding it that the route itself does not trade through, deepest first
+const MAX_FLASH_SOURCES = 3;
+function flashSourcesFor(token, routePools, pools) {
+  const key = token.toLowerCase();
+  const inRoute = new Set(routePools.map(a => a.toLowerCase()));
+  const sources = [];
+  for (const p of pools) {
+    if (!FLASH_SOURCE_KINDS.includes(p.kind) || inRoute.has(p.pairAddr.toLowerCase())) continue;
+    const idx = p.token0.toLowerCase() === key ? 0 : p.token1.toLowerCase() === key ? 1 : -1;
+    if (idx < 0) continue;
+    const balance = BigInt(poolBalances(p)[idx] || 0);
+    if (balance > 0n) sources.push({ kind: p.kind, dex: p.dex, pool: p.pairAddr, feeBps: feeBpsOf(p), balance });
+  }
+  return sources
+    .sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0))
+    .slice(0, MAX_FLASH_SOURCES)
+    .map(s => ({ ...s, balance: s.balance.toString() }));
 }
 
 // 3 // === HELPERS ===
@@ -257,40 +392,134 @@ export async function getTokenPrices(tokenAddresses) {
   return results;
 }
 
-async function fetchPairs(factoryAddr, abi) {
-  const contract = new ethers.Contract(factoryAddr, abi, provider);
-  const lengthBn = await contract.allPairsLength();
-  const length = Number(lengthBn);
-  const pairs = [];
-  for (let i = 0; i < length; i++) {
-    try {
-      const pairAddr = await contract.allPairs(i);
-      pairs.push(pairAddr);
-    } catch (err) {
-      console.error('Error fetching pair index', i, err.message);
-    }
+const ONCHAIN_PRICING = { rate: rateOf, balances: poolBalances, decimals: tokenDecimals };
+
+/**
+ * USD prices for the liquidity filter and profit valuation, from PRICE_SOURCE.
+ * @returns {Promise<Object>} map { [lowercaseAddress]: { usd: number } }
+ */
+async function getUsdPrices(tokens, pools) {
+  if (PRICE_SOURCE === 'coingecko') return getTokenPrices(tokens);
+  const prices = await readAnchorPrices(provider);
+  derivePricesFromPools(pools, prices, ONCHAIN_PRICING);
+  console.log(`[onchainprices] priced ${Object.keys(prices).length}/${tokens.length} tokens from pools`);
+  return prices;
+}
+
+// Re-read the Chainlink anchors and re-derive pool prices into `prices` in place (the Swap and
+// creation watchers hold the same object); a token no longer reachable keeps its last price.
+// CoinGecko prices are left alone: refreshing them on every rescan would hit the rate limit.
+async function refreshUsdPrices(prices, pools) {
+  if (PRICE_SOURCE !== 'onchain') return;
+  const fresh = await readAnchorPrices(provider);
+  derivePricesFromPools(pools, fresh, ONCHAIN_PRICING);
+  Object.assign(prices, fresh);
+}
+
+// allPairs(i) for each requested index; aligned with `indices`, null where the read failed
+async function fetchPairs(factoryAddr, abi, indices) {
+  const calls = indices.map(i => ({ target: factoryAddr, abi, method: 'allPairs', args: [i] }));
+  const results = await multicall(provider, calls, { batchSize: MULTICALL_BATCH_SIZE });
+  results.forEach((pairAddr, k) => {
+    if (!pairAddr) console.error('Error fetching pair index', indices[k]);
+  });
+  return results;
+}
+
+const PAIR_ABI = [
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)'
+];
+
+const PAIR_TOKEN_CALLS = [
+  { abi: PAIR_ABI, method: 'token0' },
+  { abi: PAIR_ABI, method: 'token1' }
+];
+const PAIR_RESERVE_CALLS = [{ abi: PAIR_ABI, method: 'getReserves' }];
+
+// Static pair metadata (never changes once the pair exists); null where a read failed
+async function getPairsTokens(pairAddrs) {
+  const rows = await multicallEach(provider, pairAddrs, PAIR_TOKEN_CALLS, { batchSize: MULTICALL_BATCH_SIZE });
+  return rows.map(([t0, t1], i) => (t0 && t1 ? { pairAddr: pairAddrs[i], token0: t0, token1: t1 } : null));
+}
+
+// V2 reserves carry the point they were observed at (stateAt), so an older Sync log never
+// overwrites fresher state. A read at a block sees every log in it, hence logIndex Infinity.
+const readAt = (block) => ({ blockNumber: block.number, blockHash: block.hash, logIndex: Infinity });
+
+// Whether state observed at `at` is later than `prev`; a different block hash at the same
+// height is a reorg replacement block and counts as later
+function isNewerState(at, prev) {
+  if (!prev || at.blockNumber > prev.blockNumber) return true;
+  if (at.blockNumber < prev.blockNumber) return false;
+  if (at.blockHash && prev.blockHash && at.blockHash !== prev.blockHash) return true;
+  return at.logIndex > prev.logIndex;
+}
+
+// Batched getPairInfo over known pairs: only reserves are read, all at the same block
+async function getPairsReserves(pairs) {
+  const block = await provider.getBlock('latest');
+  const rows = await multicallEach(provider, pairs.map(p => p.pairAddr), PAIR_RESERVE_CALLS,
+    { batchSize: MULTICALL_BATCH_SIZE, blockTag: block.number });
+  return rows.map(([reserves], i) => (reserves
+    ? { ...pairs[i], reserve0: reserves[0], reserve1: reserves[1], stateAt: readAt(block) }
+    : null));
+}
+
+/**
+ * Bring the on-disk pair index (pairindex.js) up to date with the factory.
+ * Only indices past the cached allPairsLength, plus any that failed last run,
+ * are read; a missing or corrupt cache means a full rebuild from index 0.
+ * @returns {Promise<{ pairAddr, token0, token1 }[]>}
+ */
+async function syncPairIndex(dexName, factoryAddr, abi) {
+  const length = Number(await new ethers.Contract(factoryAddr, abi, provider).allPairsLength());
+  const cached = loadPairIndex(factoryAddr);
+
+  let entries = cached ? cached.pairs : [];
+  if (cached && cached.allPairsLength > length) {
+    console.warn(`${dexName}: cached pair index (${cached.allPairsLength}) ahead of factory (${length}) — rebuilding`);
+    entries = [];
+  }
+
+  const todo = [];
+  entries.forEach((e, i) => { if (!e) todo.push(i); });
+  for (let i = entries.length; i < length; i++) todo.push(i);
+  console.log(entries.length
+    ? `${dexName}: pair index at ${entries.length}/${length}, fetching ${todo.length} pairs`
+    : `${dexName}: building pair index (${length} pairs)`);
+
+  if (todo.length) {
+    const addrs = await fetchPairs(factoryAddr, abi, todo);
+    const found = todo.map((index, k) => ({ index, pairAddr: addrs[k] })).filter(x => x.pairAddr);
+    const metas = await getPairsTokens(found.map(x => x.pairAddr));
+
+    entries = entries.slice();
+    entries.length = length;
+    for (const index of todo) entries[index] = null;
+    found.forEach((x, k) => { entries[x.index] = metas[k]; });
+    savePairIndex(factoryAddr, dexName, entries);
   }
-  return pairs;
+
+  return entries.filter(Boolean);
 }
 
 async function getPairInfo(pairAddr) {
-  const pairABI = [
-    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
-    'function token0() view returns (address)',
-    'function token1() view returns (address)'
-  ];
-  const pairContract = new ethers.Contract(pairAddr, pairABI, provider);
+  const pairContract = new ethers.Contract(pairAddr, PAIR_ABI, provider);
+  const block = await provider.getBlock('latest');
   const [t0, t1, reserves] = await Promise.all([
     pairContract.token0(),
     pairContract.token1(),
-    pairContract.getReserves()
+    pairContract.getReserves({ blockTag: block.number })
   ]);
   return {
     pairAddr,
     token0: t0,
     token1: t1,
     reserve0: reserves[0],
-    reserve1: reserves[1]
+    reserve1: reserves[1],
+    stateAt: readAt(block)
   };
 }
 
@@ -300,12 +529,277 @@ function calcPrice(reserve0, reserve1) {
   return (r0 > 0 && r1 > 0) ? (r0 / r1) : 0;
 }
 
+// sqrtPriceX96 encodes token1/token0; invert so it matches calcPrice (token0 per token1)
+function sqrtPriceToPrice(sqrtPriceX96) {
+  const s = Number(sqrtPriceX96 || 0) / 2 ** 96;
+  return s > 0 ? 1 / (s * s) : 0;
+}
+
+// Uniswap V3 and Algebra pools share the sqrtPriceX96 / liquidity model
+function isConcentrated(pool) {
+  return pool.kind === 'v3' || pool.kind === 'algebra';
+}
+
+// Raw token0 units per raw token1 unit, whatever the venue
+function rawPoolPrice(pool) {
+  const adapter = ADAPTERS_BY_KIND[pool.kind];
+  if (adapter) return adapter.price(pool);
+  if (isConcentrated(pool)) return sqrtPriceToPrice(pool.sqrtPriceX96);
+  if (pool.kind === 'balancer') return balancerSpotPrice(pool.state, pool.index0, pool.index1);
+  if (pool.kind === 'curve') return curveSpotPrice(pool.state, pool.index0, pool.index1);
+  return calcPrice(pool.reserve0, pool.reserve1);
+}
+
+// Whole token0 per whole token1 (decimals from tokenmeta.js; 0 if either is unknown)
+function poolPrice(pool) {
+  const d0 = tokenDecimals(pool.token0);
+  const d1 = tokenDecimals(pool.token1);
+  if (d0 === undefined || d1 === undefined) return 0;
+  return rawPoolPrice(pool) * 10 ** (d1 - d0);
+}
+
+// Whole units of the other token received per whole unit of tokenIn (spot, before fees)
+function rateOf(pool, tokenIn) {
+  const price = poolPrice(pool);
+  if (!(price > 0)) return 0;
+  return tokenIn.toLowerCase() === pool.token1.toLowerCase() ? price : 1 / price;
+}
+
+// Raw token amounts held by the pool (used for the USD liquidity filter)
+function poolBalances(pool) {
+  const adapter = ADAPTERS_BY_KIND[pool.kind];
+  if (adapter) return adapter.balances(pool);
+  if (isConcentrated(pool)) return [pool.balance0, pool.balance1];
+  if (pool.state) return [pool.state.balances[pool.index0], pool.state.balances[pool.index1]];
+  return [pool.reserve0, pool.reserve1];
+}
+
+// 3b // === V3 / ALGEBRA POOL DISCOVERY (creation logs) ===
+// V3 and Algebra factories cannot be enumerated by index, so pools are discovered
+// from their creation logs between the factory deployment block and the chain head.
+const V3_VENUES = {
+  'Uniswap V3':   { kind: 'v3',      factoryKey: 'UniswapV3',   startBlock: 22_757_547 },
+  'SushiSwap V3': { kind: 'v3',      factoryKey: 'SushiSwapV3', startBlock: 41_024_971 },
+  'QuickSwap V3': { kind: 'algebra', factoryKey: 'QuickSwapV3', startBlock: 32_610_688 }
+};
+
+const LOG_CHUNK_BLOCKS = 10_000;    // initial getLogs window
+const LOG_CHUNK_MIN_BLOCKS = 500;   // give up below this window
+
+const V3_FACTORY_IFACE = new ethers.Interface(ABI.UniswapV3Factory);
+const POOL_CREATED_TOPIC = V3_FACTORY_IFACE.getEvent('PoolCreated').topicHash;
+
+const ALGEBRA_FACTORY_IFACE = new ethers.Interface(ABI.AlgebraFactory);
+const ALGEBRA_POOL_TOPIC = ALGEBRA_FACTORY_IFACE.getEvent('Pool').topicHash;
+
+const V3_POOL_ABI = [
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function liquidity() view returns (uint128)'
+];
+
+// Algebra v1 (QuickSwap V3): price lives in globalState and the fee is dynamic
+const ALGEBRA_POOL_ABI = [
+  'function globalState() view returns (uint160 price, int24 tick, uint16 fee, uint16 timepointIndex, uint8 communityFeeToken0, uint8 communityFeeToken1, bool unlocked)',
+  'function liquidity() view returns (uint128)',
+  'function tickSpacing() view returns (int24)'
+];
+const ERC20_BALANCE_ABI = ['function balanceOf(address) view returns (uint256)'];
+
+// getLogs over [fromBlock, toBlock] in windows; halves the window when the RPC rejects a range
+async function scanLogs(filter, fromBlock, toBlock) {
+  const logs = [];
+  let step = LOG_CHUNK_BLOCKS;
+  let from = fromBlock;
+  while (from <= toBlock) {
+    const to = Math.min(from + step - 1, toBlock);
+    try {
+      const chunk = await provider.getLogs({ ...filter, fromBlock: from, toBlock: to });
+      for (const log of chunk) logs.push(log);
+      from = to + 1;
+    } catch (err) {
+      if (step <= LOG_CHUNK_MIN_BLOCKS) throw err;
+      step = Math.max(LOG_CHUNK_MIN_BLOCKS, Math.floor(step / 2));
+    }
+  }
+  return logs;
+}
+
+async function fetchV3Pools(factoryAddr, startBlock, kind = 'v3') {
+  const topic = kind === 'algebra' ? ALGEBRA_POOL_TOPIC : POOL_CREATED_TOPIC;
+
+  const latest = await provider.getBlockNumber();
+  const logs = await scanLogs({ address: factoryAddr, topics: [topic] }, startBlock, latest);
+  const pools = [];
+  for (const log of logs) {
+    try {
+      pools.push(parseV3PoolLog(log, kind));
+    } catch (err) {
+      console.error('Error decoding pool creation log', log.transactionHash, err.message);
+    }
+  }
+  return pools;
+}
+
+// PoolCreated (V3) / Pool (Algebra) log → pool meta
+function parseV3PoolLog(log, kind = 'v3') {
+  const isAlgebra = kind === 'algebra';
+  const { args } = (isAlgebra ? ALGEBRA_FACTORY_IFACE : V3_FACTORY_IFACE).parseLog(log);
+  const meta = { pairAddr: args.pool, token0: args.token0, token1: args.token1 };
+  if (!isAlgebra) {
+    meta.fee = Number(args.fee);
+    meta.tickSpacing = Number(args.tickSpacing);
+  }
+  return meta;
+}
+
+async function getV3PoolInfo(meta) {
+  const poolContract = new ethers.Contract(meta.pairAddr, V3_POOL_ABI, provider);
+  const [slot0, liquidity, balance0, balance1] = await Promise.all([
+    poolContract.slot0(),
+    poolContract.liquidity(),
+    new ethers.Contract(meta.token0, ERC20_BALANCE_ABI, provider).balanceOf(meta.pairAddr),
+    new ethers.Contract(meta.token1, ERC20_BALANCE_ABI, provider).balanceOf(meta.pairAddr)
+  ]);
+  return {
+    ...meta,
+    feeBps: meta.fee / 100, // fee tier is in hundredths of a bip
+    sqrtPriceX96: slot0[0],
+    tick: Number(slot0[1]),
+    liquidity,
+    balance0,
+    balance1
+  };
+}
+
+async function getAlgebraPoolInfo(meta) {
+  const poolContract = new ethers.Contract(meta.pairAddr, ALGEBRA_POOL_ABI, provider);
+  const [globalState, liquidity, tickSpacing, balance0, balance1] = await Promise.all([
+    poolContract.globalState(),
+    poolContract.liquidity(),
+    meta.tickSpacing ?? poolContract.tickSpacing(),
+    new ethers.Contract(meta.token0, ERC20_BALANCE_ABI, provider).balanceOf(meta.pairAddr),
+    new ethers.Contract(meta.token1, ERC20_BALANCE_ABI, provider).balanceOf(meta.pairAddr)
+  ]);
+  const fee = Number(globalState[2]); // current dynamic fee, hundredths of a bip
+  return {
+    ...meta,
+    fee,
+    feeBps: fee / 100,
+    tickSpacing: Number(tickSpacing),
+    sqrtPriceX96: globalState[0],
+    tick: Number(globalState[1]),
+    liquidity,
+    balance0,
+    balance1
+  };
+}
+
+// ticks: false skips the tick window read, for callers that batch it over many pools
+async function getConcentratedPoolInfo(kind, meta, { ticks = true } = {}) {
+  const info = kind === 'algebra' ? await getAlgebraPoolInfo(meta) : await getV3PoolInfo(meta);
+  if (ticks) await loadTickWindows(provider, [info], kind, { batchSize: MULTICALL_BATCH_SIZE });
+  return info;
+}
+
+// 3c // === MULTI-TOKEN POOL DISCOVERY (Balancer V2 Vault, Curve registry) ===
+// Multi-token pools are expanded into one leg per token pair; legs share a state object.
+const MULTI_TOKEN_VENUES = {
+  'Balancer V2':   { kind: 'balancer', factoryKey: 'BalancerV2', startBlock: 15_832_990 },
+  'Curve Finance': { kind: 'curve',    factoryKey: 'Curve' }
+};
+
+async function fetchBalancerPools(vaultAddr, startBlock) {
+  const latest = await provider.getBlockNumber();
+  const logs = await scanLogs({ address: vaultAddr, topics: [POOL_REGISTERED_TOPIC] }, startBlock, latest);
+  const pools = [];
+  for (const log of logs) {
+    try {
+      pools.push({ vault: vaultAddr, ...parsePoolRegistered(log) });
+    } catch (err) {
+      console.error('Error decoding PoolRegistered log', log.transactionHash, err.message);
+    }
+  }
+  return pools;
+}
+
+// hubAddr is the Balancer Vault or the Curve registry
+function discoverMultiTokenPools(venue, hubAddr) {
+  if (venue.kind === 'curve') return fetchCurvePools(provider, hubAddr);
+  return fetchBalancerPools(hubAddr, venue.startBlock);
+}
+
+async function getMultiTokenLegs(dexName, venue, hubAddr, meta) {
+  if (venue.kind === 'curve') {
+    const state = await getCurvePoolState(provider, hubAddr, meta);
+    return state ? curvePoolLegs(dexName, { registry: hubAddr, ...state }) : [];
+  }
+  const state = await getBalancerPoolState(provider, hubAddr, meta);
+  return state ? balancerPoolLegs(dexName, state) : [];
+}
+
+// 3d // === VENUE ADAPTERS (DODO PMM, KyberSwap Elastic) ===
+// An adapter owns discovery, state reads and pricing for one venue kind:
+//   discover(ctx) → metas, load(ctx, dexName, meta) → pool records,
+//   refresh(ctx, pool), price(pool), balances(pool), quote(pool, tokenIn, amountIn),
+//   swapTopics (extra topics for startSwapWatch).
+// Records carry the usual dex / kind / pairAddr / token0 / token1 / feeBps plus a `state`.
+const ADAPTER_VENUES = {
+  'DODO':              { adapter: dodoAdapter,  factoryKeys: ['DODOv2_DVM', 'DODOv2_DSP', 'DODOv2_DPP'], startBlock: 14_000_000 },
+  'KyberSwap Elastic': { adapter: kyberAdapter, factoryKeys: ['KyberElastic'], startBlock: 28_000_000 }
+};
+
+const ADAPTERS_BY_KIND = Object.fromEntries(
+  Object.values(ADAPTER_VENUES).map(v => [v.adapter.kind, v.adapter])
+);
+
+// Built per call: `provider` is swapped on failover
+function adapterCtx(venue = {}) {
+  return {
+    provider,
+    scanLogs,
+    factories: (venue.factoryKeys || []).map(k => FACTORIES[k]?.address).filter(Boolean),
+    startBlock: venue.startBlock
+  };
+}
+
+// Re-read on-chain state for a pool of any supported kind
+async function refreshPool(pool) {
+  const adapter = ADAPTERS_BY_KIND[pool.kind];
+  if (adapter) return adapter.refresh(adapterCtx(), pool);
+  if (isConcentrated(pool)) {
+    // Algebra fees move with volatility, so fee/feeBps are refreshed together with the price
+    return Object.assign(pool, await getConcentratedPoolInfo(pool.kind, pool));
+  }
+  if (pool.kind === 'balancer') {
+    const updated = await getBalancerPoolState(provider, pool.state.vault, pool.state);
+    if (updated) Object.assign(pool.state, updated);
+    return pool;
+  }
+  if (pool.kind === 'curve') {
+    const updated = await getCurvePoolState(provider, pool.state.registry, pool.state.address);
+    if (updated) Object.assign(pool.state, updated);
+    return pool;
+  }
+  const updated = await getPairInfo(pool.pairAddr);
+  if (isNewerState(updated.stateAt, pool.stateAt)) { // a Sync may have landed while reading
+    pool.reserve0 = updated.reserve0;
+    pool.reserve1 = updated.reserve1;
+    pool.stateAt = updated.stateAt;
+  }
+  return pool;
+}
+
 // 4. /** -----------------------------------------------------------------------
-//  *  SWAP EVENT WATCH (Uniswap V2-style)
+//  *  SWAP EVENT WATCH (Uniswap V2-style Sync + V3/Algebra/adapter Swap logs)
 //  *  (works via polling with JsonRpcProvider)
 //  *  --------------------------------------------------------------------- */
 
-const SWAP_TOPIC = '0xd78ad95fa46c994b6551d0da85fc275fe613dacf8b9baed548f383ad7bc38c5f';
+// V2 pools are tracked through Sync (emitted after every swap/mint/burn with the new
+// reserves), so no read is needed; other kinds still re-read state on their Swap log.
+const SYNC_TOPIC = '0x1c411e9a96e071241c2f21f7726b17ae89e3cab4c78be50e062b03a9fffbbad1';
+const V3_SWAP_TOPIC = '0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67'; // also Algebra Swap
+
+const SYNC_IFACE = new ethers.Interface(['event Sync(uint112 reserve0, uint112 reserve1)']);
 
 // Stable key for pair regardless of token order
 function pairKey(a, b) {
@@ -328,151 +822,448 @@ function appendJson(filename, record) {
   }
 }
 
-function startSwapWatch(pairAddrsLower, poolsByAddr, poolsByPairKey, poolsByToken, edgeThreshold = 0) {
-  if (!pairAddrsLower.length) {
-    console.log('No pools to watch for swaps.');
-    return;
-  }
+// USD value of both sides of a pool; a side with unknown decimals counts as zero
+function poolLiquidityUSD(pool, prices) {
+  const [bal0, bal1] = poolBalances(pool);
+  const sideUSD = (token, bal) => {
+    const d = tokenDecimals(token);
+    const usd = prices[token.toLowerCase()]?.usd || 0;
+    return d === undefined ? 0 : usd * Number(bal || 0) / (10 ** d);
+  };
+  return sideUSD(pool.token0, bal0) + sideUSD(pool.token1, bal1);
+}
+
+// Add a pool to the lookup maps shared by the scans and the Swap handler.
+// poolsByAddr holds every leg of a multi-token pool under the pool's address.
+function indexPool(pool, poolsByAddr, poolsByPairKey, tokenGraph) {
+  (poolsByPairKey[pairKey(pool.token0, pool.token1)] ||= []).push(pool);
+  (poolsByAddr[pool.pairAddr.toLowerCase()] ||= []).push(pool);
+  tokenGraph.addPool(pool);
+}
 
-  console.log(`👂 Subscribing to Swap events on ${pairAddrsLower.length} pools`);
+// Topics logged by the pools themselves (Balancer swaps are logged by the Vault instead)
+const SWAP_TOPICS = [...new Set([
+  SYNC_TOPIC,
+  V3_SWAP_TOPIC,
+  ...CURVE_SWAP_TOPICS,
+  ...Object.values(ADAPTERS_BY_KIND).flatMap(a => a.swapTopics || [])
+])];
+
+// A new polling filter starts at the head, so logs emitted while a subscription was being
+// swapped for a wider one are replayed from `fromBlock`. Returns the head it replayed up to.
+async function backfillLogs(filters, fromBlock, handler) {
+  const head = await provider.getBlockNumber();
+  if (fromBlock == null || fromBlock > head) return head;
+  const logs = [];
+  for (const f of filters) logs.push(...await scanLogs(f, fromBlock, head));
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+  for (const log of logs) await handler(log);
+  return head;
+}
+
+// Pool a watched log is about: a Balancer poolId starts with the pool's address
+function logPoolAddr(log) {
+  if (log.topics[0] === BALANCER_SWAP_TOPIC) return ethers.dataSlice(log.topics[1], 0, 20).toLowerCase();
+  return log.address.toLowerCase();
+}
+
+// Apply a Sync log's reserves unless the pool already holds later state (see isNewerState)
+function applySync(pool, log) {
+  const at = { blockNumber: Number(log.blockNumber), blockHash: log.blockHash, logIndex: Number(log.index) };
+  if (!isNewerState(at, pool.stateAt)) return false;
+
+  const { args } = SYNC_IFACE.parseLog(log);
+  pool.reserve0 = args.reserve0;
+  pool.reserve1 = args.reserve1;
+  pool.stateAt = at;
+  return true;
+}
+
+/**
+ * Subscribe to Swap (and V2 Sync) logs on the given pools. Balancer pools are watched
+ * through their Vault's Swap log, filtered by poolId.
+ * @returns {{ addPools(pools: object[], fromBlock?: number): void }} re-subscribes with the wider
+ *   pool list and replays logs since the last block seen (or `fromBlock`, when earlier)
+ */
+function startSwapWatch(pools, poolsByAddr, poolsByPairKey, tokenGraph, edgeThreshold = 0, prices = {}) {
+  const poolAddrs = new Set(); // pools logging their own Swap / Sync (lowercased)
+  const vaultPoolIds = {};     // Balancer Vault (lowercased) → Set of poolIds
+  let filters = [];
+  let lastSeenBlock = null;    // latest block covered by the current filters
+
+  // ====== DIRECT ARB (same pair) ======
+  const checkDirect = (pool, log) => {
+    const key = pairKey(pool.token0, pool.token1);
+    const group = poolsByPairKey[key] || [];
+    const priceA = poolPrice(pool);
+
+    for (const other of group) {
+      if (other.pairAddr === pool.pairAddr) continue;
+
+      // same orientation as priceA (token0 per token1 of the swapped pool)
+      const priceB = rateOf(other, pool.token1);
+      const edge = estimateDirectEdge(priceA, priceB, pool, other);
+
+      if (edge > edgeThreshold) {
+        const sim = simulateDirect(pool, other, prices);
+        const estProfitUSD = sim?.netProfitUSD || 0;
+        if (estProfitUSD >= MIN_PROFIT_USD) {
+          console.log(
+            `💡 Swap-led DIRECT ${pool.token0}↔${pool.token1} | ${pool.dex} vs ${other.dex} | ` +
+            `edge=${(edge*100).toFixed(3)}% est=$${estProfitUSD.toFixed(2)} | ` +
+            `A=${pool.pairAddr} B=${other.pairAddr} | tx=${log.transactionHash}`
+          );
+
+          appendJson('swap_event_arbs.json', {
+            type: 'direct',
+            timestamp: Date.now(),
+            blockNumber: Number(log.blockNumber),
+            txHash: log.transactionHash,
+            token0: pool.token0,
+            token1: pool.token1,
+            dexA: pool.dex,
+            dexB: other.dex,
+            poolAddrA: pool.pairAddr,
+            poolAddrB: other.pairAddr,
+            priceA,
+            priceB,
+            edge,
+            ...sim,
+            estProfitUSD
+          });
+
+          upsertOpportunities(DIRECT_POOL_FILE, 'direct', [{
+            token0: pool.token0,
+            token1: pool.token1,
+            dexA: pool.dex,
+            dexB: other.dex,
+            priceA,
+            priceB,
+            poolAddrA: pool.pairAddr,
+            poolAddrB: other.pairAddr,
+            edge,
+            ...sim,
+            estProfitUSD,
+            flashSources: flashSourcesFor(sim.route[0], sim.pools, Object.values(poolsByAddr).flat()),
+            source: 'swap_event'
+          }], Number(log.blockNumber), { ttlBlocks: OPPORTUNITY_TTL_BLOCKS });
+        }
+      }
+    }
+  };
+
+  // ====== N-HOP CYCLES through the pools updated in one block ======
+  const checkCycles = (batch) => {
+    const changedByAddr = new Map(batch.map(c => [c.pool.pairAddr.toLowerCase(), c]));
+    const cycles = tokenGraph.findCycles(FLASH_BASE_TOKENS, {
+      minHops: CYCLE_MIN_HOPS,
+      maxHops: CYCLE_MAX_HOPS,
+      mustIncludePool: [...changedByAddr.keys()]
+    });
+    for (const cycle of cycles) {
+      const rec = cycleRecord(cycle, prices);
+      if (!rec) continue;
+      // the log that moved the first changed pool on the route
+      const { log } = changedByAddr.get(rec.pools.map(a => a.toLowerCase()).find(a => changedByAddr.has(a)));
+
+      console.log(
+        `🔺 Swap-led CYCLE ${rec.route.join('->')} | dexs=${rec.dexs.join(' > ')} | ` +
+        `edge=${(rec.edge*100).toFixed(3)}% est=$${rec.estProfitUSD.toFixed(2)} | ` +
+        `pools=[${rec.pools.join(', ')}] | tx=${log.transactionHash}`
+      );
+
+      appendJson('swap_event_arbs.json', {
+        type: 'cycle',
+        timestamp: Date.now(),
+        blockNumber: Number(log.blockNumber),
+        txHash: log.transactionHash,
+        ...rec
+      });
+
+      const flashSources = flashSourcesFor(rec.route[0], rec.pools, Object.values(poolsByAddr).flat());
+      upsertOpportunities(TRI_POOL_FILE, 'cycle', [{ ...rec, flashSources, source: 'swap_event' }],
+        Number(log.blockNumber), { ttlBlocks: OPPORTUNITY_TTL_BLOCKS });
+    }
+  };
 
-  const filter = {
-    address: pairAddrsLower,   // array of pool addresses (lowercased)
-    topics: [SWAP_TOPIC]
+  // One cycle search per block over every pool its logs changed: run when a later block's
+  // log arrives, or SWAP_CYCLE_DEBOUNCE_MS after the block's first change
+  let changed = new Map(); // pairAddr (lowercased) → { pool, log }
+  let changedBlock = null;
+  let cycleTimer = null;
+
+  const flushCycles = () => {
+    clearTimeout(cycleTimer);
+    cycleTimer = null;
+    const batch = [...changed.values()];
+    changed = new Map();
+    changedBlock = null;
+    if (!batch.length) return;
+    try {
+      checkCycles(batch);
+    } catch (e) {
+      console.error('Swap-led cycle search error:', e?.message || e);
+    }
+  };
+
+  const queueCycles = (pool, log) => {
+    const block = Number(log.blockNumber);
+    if (changedBlock != null && block > changedBlock) flushCycles();
+    changedBlock = Math.max(changedBlock ?? block, block);
+    changed.set(pool.pairAddr.toLowerCase(), { pool, log });
+    cycleTimer ??= setTimeout(flushCycles, SWAP_CYCLE_DEBOUNCE_MS);
   };
 
   const swapHandler = async (log) => {
     try {
-      const addr = log.address.toLowerCase();
-      const pool = poolsByAddr[addr];
-      if (!pool) return;
-
-      // Refresh reserves for the swapped pool
-      const updated = await getPairInfo(pool.pairAddr);
-      pool.reserve0 = updated.reserve0;
-      pool.reserve1 = updated.reserve1;
-
-      // ====== DIRECT ARB (same pair) ======
-      const key = pairKey(pool.token0, pool.token1);
-      const group = poolsByPairKey[key] || [];
-      const priceA = calcPrice(pool.reserve0, pool.reserve1);
-
-      for (const other of group) {
-        if (other.pairAddr === pool.pairAddr) continue;
-
-        const priceB = calcPrice(other.reserve0, other.reserve1);
-        const edge = estimateDirectEdge(priceA, priceB, pool.dex, other.dex);
-
-        if (edge > edgeThreshold) {
-          const estProfitUSD = edgeToProfitUSD(edge);
-          if (estProfitUSD >= MIN_PROFIT_USD) {
-            console.log(
-              `💡 Swap-led DIRECT ${pool.token0}↔${pool.token1} | ${pool.dex} vs ${other.dex} | ` +
-              `edge=${(edge*100).toFixed(3)}% est=$${estProfitUSD.toFixed(2)} | ` +
-              `A=${pool.pairAddr} B=${other.pairAddr} | tx=${log.transactionHash}`
-            );
-
-            appendJson('swap_event_arbs.json', {
-              type: 'direct',
-              timestamp: Date.now(),
-              blockNumber: Number(log.blockNumber),
-              txHash: log.transactionHash,
-              token0: pool.token0,
-              token1: pool.token1,
-              dexA: pool.dex,
-              dexB: other.dex,
-              poolAddrA: pool.pairAddr,
-              poolAddrB: other.pairAddr,
-              priceA,
-              priceB,
-              edge,
-              estProfitUSD
-            });
-
-            appendJson('direct_pool.json', {
-              token0: pool.token0,
-              token1: pool.token1,
-              dexA: pool.dex,
-              dexB: other.dex,
-              priceA,
-              priceB,
-              poolAddrA: pool.pairAddr,
-              poolAddrB: other.pairAddr,
-              edge,
-              estProfitUSD,
-              source: 'swap_event'
-            });
-          }
-        }
+      lastSeenBlock = Math.max(lastSeenBlock ?? 0, Number(log.blockNumber));
+      const legs = poolsByAddr[logPoolAddr(log)];
+      if (!legs) return;
+
+      // V2: take reserves straight from Sync; others: re-read slot0 / state (shared by all legs)
+      const [pool] = legs;
+      if (log.removed) {
+        // Reorged out: the state it carried may be gone too, so re-read the pool at the new head
+        pool.stateAt = null;
+        await refreshPool(pool);
+        tokenGraph.touch(pool);
+        return;
       }
 
-      // ====== TRIANGULAR ARB (localized around updated pool) ======
-      const tokenA = pool.token0;
-      const tokenB = pool.token1;
-
-      const poolsFromB = poolsByToken[tokenB] || [];
-      for (const pool2 of poolsFromB) {
-        if (pool2.pairAddr === pool.pairAddr) continue;
-        const tokenC = pool2.token0 === tokenB ? pool2.token1 : pool2.token0;
-        if (tokenC === tokenA) continue;
-
-        const poolsFromC = poolsByToken[tokenC] || [];
-        for (const pool3 of poolsFromC) {
-          const closesLoop =
-            (pool3.token0 === tokenC && pool3.token1 === tokenA) ||
-            (pool3.token1 === tokenC && pool3.token0 === tokenA);
-          if (!closesLoop) continue;
-
-          const rate1 = calcPrice(pool.reserve0, pool.reserve1);
-          const rate2 = calcPrice(pool2.reserve0, pool2.reserve1);
-          const rate3 = calcPrice(pool3.reserve0, pool3.reserve1);
-          const cycleRate = rate1 * rate2 * rate3;
-
-          const dexs = [pool.dex, pool2.dex, pool3.dex];
-          const edgeTri = estimateTriEdge(cycleRate, dexs);
-
-          if (edgeTri > 0) {
-            const estProfitUSD = edgeToProfitUSD(edgeTri);
-            if (estProfitUSD >= MIN_PROFIT_USD) {
-              console.log(
-                `🔺 Swap-led TRI ${tokenA}->${tokenB}->${tokenC}->${tokenA} | dexs=${dexs.join(' > ')} | ` +
-                `edge=${(edgeTri*100).toFixed(3)}% est=$${estProfitUSD.toFixed(2)} | ` +
-                `pools=[${pool.pairAddr}, ${pool2.pairAddr}, ${pool3.pairAddr}] | tx=${log.transactionHash}`
-              );
-
-              appendJson('swap_event_arbs.json', {
-                type: 'triangular',
-                timestamp: Date.now(),
-                blockNumber: Number(log.blockNumber),
-                txHash: log.transactionHash,
-                route: [tokenA, tokenB, tokenC, tokenA],
-                pools: [pool.pairAddr, pool2.pairAddr, pool3.pairAddr],
-                dexs,
-                cycleRate,
-                edge: edgeTri,
-                estProfitUSD
-              });
-
-              appendJson('tri_pool.json', {
-                route: [tokenA, tokenB, tokenC, tokenA],
-                pools: [pool.pairAddr, pool2.pairAddr, pool3.pairAddr],
-                dexs,
-                cycleRate,
-                edge: edgeTri,
-                estProfitUSD,
-                source: 'swap_event'
-              });
-            }
-          }
-        }
+      if (pool.kind === 'v2') {
+        if (log.topics[0] !== SYNC_TOPIC || !applySync(pool, log)) return;
+      } else {
+        await refreshPool(pool);
       }
+      tokenGraph.touch(pool);
+
+      for (const leg of legs) checkDirect(leg, log);
+      queueCycles(pool, log); // mustIncludePool matches any leg of the pool
     } catch (e) {
       console.error('Swap handler error:', e?.message || e);
     }
   };
 
   // Register through the wrapper so it auto re-subscribes after failover
-  addLogListener(filter, swapHandler);
+  const subscribe = (fromBlock) => {
+    for (const f of filters) removeLogListener(f, swapHandler);
+    filters = [];
+    if (poolAddrs.size) filters.push({ address: [...poolAddrs], topics: [SWAP_TOPICS] });
+    for (const [vault, ids] of Object.entries(vaultPoolIds)) {
+      filters.push({ address: vault, topics: [BALANCER_SWAP_TOPIC, [...ids]] });
+    }
+    for (const f of filters) addLogListener(f, swapHandler);
+
+    const from = lastSeenBlock == null ? fromBlock : Math.min(lastSeenBlock, fromBlock ?? lastSeenBlock);
+    backfillLogs(filters, from, swapHandler)
+      .then(head => { lastSeenBlock = Math.max(lastSeenBlock ?? 0, head); })
+      .catch(e => console.error('Swap watch backfill error:', e?.message || e));
+  };
+
+  // Add pools to the watch sets; returns how many were not watched yet
+  const watch = (list) => {
+    let added = 0;
+    for (const p of list) {
+      const [set, key] = p.kind === 'balancer'
+        ? [(vaultPoolIds[p.state.vault.toLowerCase()] ||= new Set()), p.poolId.toLowerCase()]
+        : [poolAddrs, p.pairAddr.toLowerCase()];
+      if (set.has(key)) continue;
+      set.add(key);
+      added++;
+    }
+    return added;
+  };
+  const watchedCount = () => poolAddrs.size + Object.values(vaultPoolIds).reduce((n, ids) => n + ids.size, 0);
+
+  if (watch(pools)) {
+    console.log(`👂 Subscribing to Swap events on ${watchedCount()} pools`);
+    subscribe();
+  } else {
+    console.log('No pools to watch for swaps.');
+  }
+
+  return {
+    addPools(newPools, fromBlock) {
+      if (!watch(newPools)) return;
+      console.log(`👂 Extending Swap watch to ${watchedCount()} pools`);
+      subscribe(fromBlock);
+    }
+  };
+}
+
+// 5 // === LIVE NEW-POOL DETECTION ===
+// Pools created after the startup scan are picked up from factory creation logs,
+// run through the same liquidity filter and added to the indexes + Swap watch.
+// Pools created empty (or below MIN_LIQUIDITY_USD) stay on a watch list and are
+// re-checked on their Mint / Sync logs for NEW_POOL_WATCH_BLOCKS blocks.
+const V2_FACTORY_IFACE = new ethers.Interface(ABI.UniswapV2Factory);
+const PAIR_CREATED_TOPIC = V2_FACTORY_IFACE.getEvent('PairCreated').topicHash;
+const MINT_TOPIC = ethers.id('Mint(address,address,int24,int24,uint128,uint256,uint256)'); // V3 + Algebra
+
+const CREATION_TOPIC_BY_KIND = {
+  v2: PAIR_CREATED_TOPIC,
+  v3: POOL_CREATED_TOPIC,
+  algebra: ALGEBRA_POOL_TOPIC
+};
+
+// Creation log → pool meta (enough to read the pool again)
+function parseCreatedPool(source, log) {
+  if (source.kind === 'v2') return { pairAddr: V2_FACTORY_IFACE.parseLog(log).args.pair };
+  return parseV3PoolLog(log, source.kind);
+}
+
+// Pool meta → full pool record (state read at the current head)
+async function loadCreatedPool(source, meta) {
+  const info = source.kind === 'v2'
+    ? await getPairInfo(meta.pairAddr)
+    : await getConcentratedPoolInfo(source.kind, meta);
+  return { dex: source.dexName, kind: source.kind, ...info };
+}
+
+/**
+ * @param {{ dexName: string, kind: 'v2'|'v3'|'algebra', factoryAddr: string }[]} sources
+ * @param {{ poolsByAddr, poolsByPairKey, tokenGraph, livePools, prices, swapWatch }} ctx
+ */
+function startPoolCreationWatch(sources, ctx) {
+  if (!sources.length) return;
+  console.log(`🆕 Watching ${sources.length} factories for new pools`);
+
+  const pending = new Map(); // pairAddr (lowercased) → { source, meta, until, checking }
+  let pendingFilter = null;
+  let pendingSeenBlock = null; // latest block covered by pendingFilter
+
+  // Price, filter and index a freshly read pool. Returns false while it is still too thin to list.
+  async function admit(source, pool, log) {
+    if (ctx.poolsByAddr[pool.pairAddr.toLowerCase()]) return true;
+    if (pool.liquidity === 0n) return false; // V3 / Algebra pool with no position yet
+
+    await loadTokenMeta(provider, [pool.token0, pool.token1], { batchSize: MULTICALL_BATCH_SIZE });
+    const missing = [pool.token0, pool.token1].filter(t => !ctx.prices[t.toLowerCase()]);
+    if (missing.length && PRICE_SOURCE === 'coingecko') Object.assign(ctx.prices, await getTokenPrices(missing));
+    else if (missing.length) derivePricesFromPools([pool], ctx.prices, ONCHAIN_PRICING, 1);
+
+    const liquidityUSD = poolLiquidityUSD(pool, ctx.prices);
+    console.log(
+      `🆕 New ${source.dexName} pool ${pool.pairAddr} ${pool.token0}/${pool.token1} | ` +
+      `liquidity=$${liquidityUSD.toFixed(0)} | tx=${log.transactionHash}`
+    );
+    if (liquidityUSD < MIN_LIQUIDITY_USD) return false;
+
+    await classifyTokens(provider, [pool.token0, pool.token1], [pool, ...ctx.livePools], { baseTokens: FLASH_BASE_TOKENS });
+    if (isFlaggedToken(pool.token0) || isFlaggedToken(pool.token1)) {
+      console.log(`🛡️ Skipping ${pool.pairAddr}: flagged token (see token_safety.json)`);
+      return true;
+    }
+
+    indexPool(pool, ctx.poolsByAddr, ctx.poolsByPairKey, ctx.tokenGraph);
+    ctx.livePools.push(pool);
+    ctx.swapWatch.addPools([pool], Number(log.blockNumber));
+    return true;
+  }
+
+  // Re-check a watched pool whenever liquidity is added to it
+  async function recheckPending(log) {
+    const addr = log.address.toLowerCase();
+    const entry = pending.get(addr);
+    pendingSeenBlock = Math.max(pendingSeenBlock ?? 0, Number(log.blockNumber));
+    if ([...pending.values()].some(e => pendingSeenBlock > e.until)) watchPending(); // drop expired pools
+    if (!entry || entry.checking || log.removed || !pending.has(addr)) return;
+    entry.checking = true;
+    try {
+      const pool = await loadCreatedPool(entry.source, entry.meta);
+      if (await admit(entry.source, pool, log)) {
+        pending.delete(addr);
+        watchPending();
+      }
+    } catch (e) {
+      console.error(`Pending pool handler error (${entry.source.dexName}):`, e?.message || e);
+    } finally {
+      entry.checking = false;
+    }
+  }
+
+  // Re-subscribe to the (pruned) watch list, replaying from fromBlock or the last block seen
+  function watchPending(fromBlock) {
+    for (const [addr, entry] of pending) if ((pendingSeenBlock ?? 0) > entry.until) pending.delete(addr);
+    if (pendingFilter) removeLogListener(pendingFilter, recheckPending);
+    pendingFilter = null;
+    if (!pending.size) return;
+
+    pendingFilter = { address: [...pending.keys()], topics: [[SYNC_TOPIC, MINT_TOPIC]] };
+    addLogListener(pendingFilter, recheckPending);
+    const from = pendingSeenBlock == null ? fromBlock : Math.min(pendingSeenBlock, fromBlock ?? pendingSeenBlock);
+    backfillLogs([pendingFilter], from, recheckPending)
+      .then(head => { pendingSeenBlock = Math.max(pendingSeenBlock ?? 0, head); })
+      .catch(e => console.error('Pending pool backfill error:', e?.message || e));
+  }
+
+  for (const source of sources) {
+    const filter = { address: source.factoryAddr, topics: [CREATION_TOPIC_BY_KIND[source.kind]] };
+    addLogListener(filter, async (log) => {
+      try {
+        const meta = parseCreatedPool(source, log);
+        const addr = meta.pairAddr.toLowerCase();
+        if (ctx.poolsByAddr[addr] || pending.has(addr)) return;
+
+        const pool = await loadCreatedPool(source, meta);
+        if (await admit(source, pool, log)) return;
+
+        const block = Number(log.blockNumber);
+        pending.set(addr, { source, meta, until: block + NEW_POOL_WATCH_BLOCKS, checking: false });
+        watchPending(block);
+      } catch (e) {
+        console.error(`New pool handler error (${source.dexName}):`, e?.message || e);
+      }
+    });
+  }
+}
+
+// 6 // === FULL SCAN (direct same-pair + N-hop cycles) ===
+function scanOpportunities(pools, tokenGraph, prices) {
+  // Direct: every couple of pools trading the same pair
+  const directArbs = [];
+  const byPair = {};
+  for (const p of pools) (byPair[pairKey(p.token0, p.token1)] ||= []).push(p);
+  for (const group of Object.values(byPair)) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const poolA = group[i];
+        const poolB = group[j];
+        const priceA = poolPrice(poolA);
+        const priceB = rateOf(poolB, poolA.token1); // poolA orientation
+        const edge = estimateDirectEdge(priceA, priceB, poolA, poolB);
+        if (edge <= 0) continue;
+
+        const sim = simulateDirect(poolA, poolB, prices);
+        const estProfitUSD = sim?.netProfitUSD || 0;
+        if (estProfitUSD < MIN_PROFIT_USD) continue;
+        directArbs.push({
+          token0: poolA.token0,
+          token1: poolA.token1,
+          dexA: poolA.dex,
+          dexB: poolB.dex,
+          priceA,
+          priceB,
+          poolAddrA: poolA.pairAddr,
+          poolAddrB: poolB.pairAddr,
+          edge,
+          ...sim,
+          estProfitUSD,
+          flashSources: flashSourcesFor(sim.route[0], sim.pools, pools)
+        });
+      }
+    }
+  }
+
+  // N-hop cycles (token graph, negative -log rate cycles from flash-loanable bases)
+  const triArbs = [];
+  const cycles = tokenGraph.findCycles(FLASH_BASE_TOKENS, { minHops: CYCLE_MIN_HOPS, maxHops: CYCLE_MAX_HOPS });
+  for (const cycle of cycles) {
+    const rec = cycleRecord(cycle, prices);
+    if (rec) triArbs.push({ ...rec, flashSources: flashSourcesFor(rec.route[0], rec.pools, pools) });
+  }
+
+  return { directArbs, triArbs };
 }
 
 // 7 // === MAIN LOGIC ===
@@ -480,10 +1271,109 @@ function startSwapWatch(pairAddrsLower, poolsByAddr, poolsByPairKey, poolsByToke
   await ready(); // ensure RPC is responsive before contract calls
 
   const allPools = [];
+  const creationSources = []; // factories watched for new pools after the scan
 
   // Fetch pools from each DEX
   for (const dex of dexConfig.polygon) {
     const dexName = dex.name;
+
+    // Adapter venues (DODO, KyberSwap Elastic): discovery + state handled by the adapter
+    const adapterVenue = ADAPTER_VENUES[dexName];
+    if (adapterVenue) {
+      if (!adapterCtx(adapterVenue).factories.length) {
+        console.log(`Skipping ${dexName} — no valid factory`);
+        continue;
+      }
+
+      console.log(`Discovering ${dexName} pools from block ${adapterVenue.startBlock}...`);
+      let metas = [];
+      try {
+        metas = await adapterVenue.adapter.discover(adapterCtx(adapterVenue));
+      } catch (e) {
+        console.error(`RPC error on ${dexName} discover:`, e?.message || e);
+        await failover();
+        await ready();
+        metas = await adapterVenue.adapter.discover(adapterCtx(adapterVenue));
+      }
+      console.log(`${dexName}: Found ${metas.length} pools`);
+
+      for (const meta of metas) {
+        try {
+          const records = await adapterVenue.adapter.load(adapterCtx(adapterVenue), dexName, meta);
+          for (const rec of records) allPools.push(rec);
+        } catch (_) {}
+      }
+      continue;
+    }
+
+    // Balancer V2 / Curve: discover pools from the Vault or registry, one leg per token pair
+    const multiVenue = MULTI_TOKEN_VENUES[dexName];
+    if (multiVenue) {
+      const hubAddr = FACTORIES[multiVenue.factoryKey]?.address;
+      if (!hubAddr) {
+        console.log(`Skipping ${dexName} — no vault/registry configured`);
+        continue;
+      }
+
+      console.log(`Discovering ${dexName} pools via ${hubAddr}...`);
+      let metas = [];
+      try {
+        metas = await discoverMultiTokenPools(multiVenue, hubAddr);
+      } catch (e) {
+        console.error(`RPC error on ${dexName} discoverMultiTokenPools:`, e?.message || e);
+        await failover();
+        await ready();
+        metas = await discoverMultiTokenPools(multiVenue, hubAddr);
+      }
+      console.log(`${dexName}: Found ${metas.length} pools`);
+
+      for (const meta of metas) {
+        try {
+          const legs = await getMultiTokenLegs(dexName, multiVenue, hubAddr, meta);
+          for (const leg of legs) allPools.push(leg);
+        } catch (_) {}
+      }
+      continue;
+    }
+
+    // V3/Algebra venues: discover pools from creation logs instead of allPairs()
+    const v3Venue = V3_VENUES[dexName];
+    if (v3Venue) {
+      const factoryAddr = dex.factory || FACTORIES[v3Venue.factoryKey]?.address;
+      if (!factoryAddr) {
+        console.log(`Skipping ${dexName} — no valid factory`);
+        continue;
+      }
+
+      console.log(`Scanning pool creation logs for ${dexName} from block ${v3Venue.startBlock}...`);
+      let metas = [];
+      try {
+        metas = await fetchV3Pools(factoryAddr, v3Venue.startBlock, v3Venue.kind);
+      } catch (e) {
+        console.error(`RPC error on ${dexName} fetchV3Pools:`, e?.message || e);
+        await failover();
+        await ready();
+        metas = await fetchV3Pools(factoryAddr, v3Venue.startBlock, v3Venue.kind);
+      }
+      console.log(`${dexName}: Found ${metas.length} pools`);
+      creationSources.push({ dexName, kind: v3Venue.kind, factoryAddr });
+
+      const venuePools = [];
+      for (const meta of metas) {
+        try {
+          const info = await getConcentratedPoolInfo(v3Venue.kind, meta, { ticks: false });
+          if (info.liquidity > 0n) venuePools.push({ dex: dexName, kind: v3Venue.kind, ...info });
+        } catch (_) {}
+      }
+      try {
+        await loadTickWindows(provider, venuePools, v3Venue.kind, { batchSize: MULTICALL_BATCH_SIZE });
+      } catch (e) {
+        console.error(`RPC error on ${dexName} tick windows (quoting at range edges):`, e?.message || e);
+      }
+      allPools.push(...venuePools);
+      continue;
+    }
+
     if (!dex.factory || dex.factory === '0x...' || !FACTORIES[dexName]) {
       console.log(`Skipping ${dexName} — no valid factory`);
       continue;
@@ -499,153 +1389,135 @@ function startSwapWatch(pairAddrsLower, poolsByAddr, poolsByPairKey, poolsByToke
     console.log(`Fetching pairs for ${dexName}...`);
     let pairs = [];
     try {
-      pairs = await fetchPairs(factoryAddr, abi);
+      pairs = await syncPairIndex(dexName, factoryAddr, abi);
     } catch (e) {
-      console.error(`RPC error on ${dexName} fetchPairs:`, e?.message || e);
+      console.error(`RPC error on ${dexName} syncPairIndex:`, e?.message || e);
       // Try next RPC automatically on next call site
       await failover();
       await ready();
-      pairs = await fetchPairs(factoryAddr, abi);
+      pairs = await syncPairIndex(dexName, factoryAddr, abi);
     }
     console.log(`${dexName}: Found ${pairs.length} pairs`);
+    creationSources.push({ dexName, kind: 'v2', factoryAddr });
 
-    for (const pairAddr of pairs) {
-      try {
-        const info = await getPairInfo(pairAddr);
-        allPools.push({ dex: dexName, ...info });
-      } catch (_) {}
+    let infos = [];
+    try {
+      infos = await getPairsReserves(pairs);
+    } catch (e) {
+      console.error(`RPC error on ${dexName} getPairsReserves:`, e?.message || e);
+      await failover();
+      await ready();
+      infos = await getPairsReserves(pairs);
+    }
+    for (const info of infos) {
+      if (info) allPools.push({ dex: dexName, kind: 'v2', ...info });
     }
   }
 
   const allTokens = [...new Set(allPools.flatMap(p => [p.token0, p.token1]))];
   console.log(`Total unique tokens: ${allTokens.length}`);
 
-  // Get token prices (CHUNKED + RATE-LIMITED; same function name)
-  const prices = await getTokenPrices(allTokens);
+  // Decimals / symbols (cached on disk; only unseen tokens are read)
+  try {
+    await loadTokenMeta(provider, allTokens, { batchSize: MULTICALL_BATCH_SIZE });
+  } catch (e) {
+    console.error('RPC error on loadTokenMeta:', e?.message || e);
+    await failover();
+    await ready();
+    await loadTokenMeta(provider, allTokens, { batchSize: MULTICALL_BATCH_SIZE });
+  }
+
+  // Get token prices (on-chain from anchors, or CoinGecko CHUNKED + RATE-LIMITED)
+  let prices = {};
+  try {
+    prices = await getUsdPrices(allTokens, allPools);
+  } catch (e) {
+    console.error('RPC error on getUsdPrices:', e?.message || e);
+    await failover();
+    await ready();
+    prices = await getUsdPrices(allTokens, allPools);
+  }
 
   // Filter pools based on liquidity
-  const filteredPools = allPools.filter(p => {
-    const p0 = prices[p.token0.toLowerCase()]?.usd || 0;
-    const p1 = prices[p.token1.toLowerCase()]?.usd || 0;
-    const liquidityUSD =
-      p0 * Number(p.reserve0) / (10 ** 18) +
-      p1 * Number(p.reserve1) / (10 ** 18);
-    return liquidityUSD >= MIN_LIQUIDITY_USD;
-  });
+  const liquidPools = allPools.filter(p => poolLiquidityUSD(p, prices) >= MIN_LIQUIDITY_USD);
+
+  // Drop pools touching fee-on-transfer / rebasing / honeypot tokens (verdicts cached in token_safety.json)
+  const liquidTokens = [...new Set(liquidPools.flatMap(p => [p.token0, p.token1]))];
+  const flaggedTokens = await classifyTokens(provider, liquidTokens, liquidPools, { baseTokens: FLASH_BASE_TOKENS });
+  const filteredPools = liquidPools.filter(p => !isFlaggedToken(p.token0) && !isFlaggedToken(p.token1));
+  console.log(`🛡️ Token safety: ${flaggedTokens.length} flagged tokens, ${liquidPools.length - filteredPools.length} pools excluded`);
 
   // 8  /** --------------------------------------------------------------
   //    *  Build indexes for SAME-PAIR matching and start Swap listeners
   //    *  ------------------------------------------------------------*/
   const poolsByPairKey = {};
   const poolsByAddr = {};
-  const poolsByToken = {};
-  for (const p of filteredPools) {
-    const key = pairKey(p.token0, p.token1);
-    (poolsByPairKey[key] ||= []).push(p);
-    poolsByAddr[p.pairAddr.toLowerCase()] = p;
-    (poolsByToken[p.token0] ||= []).push(p);
-    (poolsByToken[p.token1] ||= []).push(p);
-  }
-  startSwapWatch(
-    Object.keys(poolsByAddr),
+  const tokenGraph = createTokenGraph({ rate: rateOf, feeBps: feeBpsOf });
+  const livePools = [...filteredPools]; // grows with pools found by the creation watch
+  for (const p of filteredPools) indexPool(p, poolsByAddr, poolsByPairKey, tokenGraph);
+  const swapWatch = startSwapWatch(
+    filteredPools,
     poolsByAddr,
     poolsByPairKey,
-    poolsByToken,
-    ARB_THRESHOLD
+    tokenGraph,
+    ARB_THRESHOLD,
+    prices
   );
-
-  // 9  // Calculate direct arbitrage
-  const directArbs = [];
-  for (let i = 0; i < filteredPools.length; i++) {
-    for (let j = i + 1; j < filteredPools.length; j++) {
-      const poolA = filteredPools[i];
-      const poolB = filteredPools[j];
-      const samePair =
-        (poolA.token0 === poolB.token0 && poolA.token1 === poolB.token1) ||
-        (poolA.token0 === poolB.token1 && poolA.token1 === poolB.token0);
-
-      if (samePair) {
-        const priceA = calcPrice(poolA.reserve0, poolA.reserve1);
-        const priceB = calcPrice(poolB.reserve0, poolB.reserve1);
-        const edge = estimateDirectEdge(priceA, priceB, poolA.dex, poolB.dex);
-        if (edge > 0) {
-          const estProfitUSD = edgeToProfitUSD(edge);
-          if (estProfitUSD >= MIN_PROFIT_USD) {
-            const rec = {
-              token0: poolA.token0,
-              token1: poolA.token1,
-              dexA: poolA.dex,
-              dexB: poolB.dex,
-              priceA,
-              priceB,
-              poolAddrA: poolA.pairAddr,
-              poolAddrB: poolB.pairAddr,
-              edge,
-              estProfitUSD
-            };
-            directArbs.push(rec);
-          }
-        }
+  startPoolCreationWatch(creationSources, { poolsByAddr, poolsByPairKey, tokenGraph, livePools, prices, swapWatch });
+
+  // 9-11 // Full scan: once at startup, then every RESCAN_EVERY_BLOCKS blocks
+  //       (or RESCAN_EVERY_SECONDS) from the in-memory pool state unless --once
+  let scanCount = 0;
+  let lastScanBlock = 0;
+  let scanning = false;
+  async function runFullScan() {
+    if (scanning) return; // previous pass still running
+    scanning = true;
+    try {
+      const started = Date.now();
+      const blockNumber = await provider.getBlockNumber();
+      if (scanCount > 0) { // startup prices are fresh
+        await refreshUsdPrices(prices, livePools).catch(e => console.error('Price refresh error:', e?.message || e));
       }
+      const { directArbs, triArbs } = scanOpportunities(livePools, tokenGraph, prices);
+      replaceOpportunities(DIRECT_POOL_FILE, 'direct', directArbs, blockNumber);
+      replaceOpportunities(TRI_POOL_FILE, 'cycle', triArbs, blockNumber);
+      lastScanBlock = blockNumber;
+      scanCount += 1;
+      console.log(
+        `⏱️ Scan #${scanCount} @${blockNumber}: ${livePools.length} pools → saved ${directArbs.length} direct and ` +
+        `${triArbs.length} cycle arbs (>= $${MIN_PROFIT_USD}) in ${Date.now() - started} ms`
+      );
+    } catch (e) {
+      console.error('Full scan error:', e?.message || e);
+    } finally {
+      scanning = false;
     }
   }
 
-  // 10  // Calculate triangular arbitrage
-  const triArbs = [];
-  const poolsByTokenScan = {};
-
-  for (const pool of filteredPools) {
-    [pool.token0, pool.token1].forEach(t => {
-      poolsByTokenScan[t] = poolsByTokenScan[t] || [];
-      poolsByTokenScan[t].push(pool);
+  await runFullScan();
+
+  if (ONE_SHOT) {
+    console.log('One-shot mode (--once): no periodic rescans');
+  } else if (RESCAN_EVERY_SECONDS > 0) {
+    console.log(`🔁 Rescanning every ${RESCAN_EVERY_SECONDS}s`);
+    setInterval(runFullScan, RESCAN_EVERY_SECONDS * 1000);
+  } else {
+    console.log(`🔁 Rescanning every ${RESCAN_EVERY_BLOCKS} blocks`);
+    addBlockListener((blockNumber) => {
+      if (Number(blockNumber) - lastScanBlock >= RESCAN_EVERY_BLOCKS) runFullScan();
     });
   }
 
-  for (const tokenA of Object.keys(poolsByTokenScan)) {
-    for (const pool1 of poolsByTokenScan[tokenA]) {
-      const tokenB = pool1.token0 === tokenA ? pool1.token1 : pool1.token0;
-      for (const pool2 of poolsByTokenScan[tokenB] || []) {
-        const tokenC = pool2.token0 === tokenB ? pool2.token1 : pool2.token0;
-        if (tokenC === tokenA) continue;
-        for (const pool3 of poolsByTokenScan[tokenC] || []) {
-          const closesLoop =
-            (pool3.token0 === tokenC && pool3.token1 === tokenA) ||
-            (pool3.token1 === tokenC && pool3.token0 === tokenA);
-          if (!closesLoop) continue;
-
-          const rate1 = calcPrice(pool1.reserve0, pool1.reserve1);
-          const rate2 = calcPrice(pool2.reserve0, pool2.reserve1);
-          const rate3 = calcPrice(pool3.reserve0, pool3.reserve1);
-          const cycleRate = rate1 * rate2 * rate3;
-
-          const dexs = [pool1.dex, pool2.dex, pool3.dex];
-          const edge = estimateTriEdge(cycleRate, dexs);
-
-          if (edge > 0) {
-            const estProfitUSD = edgeToProfitUSD(edge);
-            if (estProfitUSD >= MIN_PROFIT_USD) {
-              triArbs.push({
-                route: [tokenA, tokenB, tokenC, tokenA],
-                pools: [pool1.pairAddr, pool2.pairAddr, pool3.pairAddr],
-                dexs,
-                cycleRate,
-                edge,
-                estProfitUSD
-              });
-            }
-          }
-        }
+  // Expire opportunities nobody has re-seen within the TTL
+  addBlockListener((blockNumber) => {
+    for (const file of [DIRECT_POOL_FILE, TRI_POOL_FILE]) {
+      try {
+        const n = expireOpportunities(file, Number(blockNumber), { ttlBlocks: OPPORTUNITY_TTL_BLOCKS });
+        if (n) console.log(`🧹 Expired ${n} opportunities from ${file}`);
+      } catch (e) {
+        console.error(`Failed to expire ${file}:`, e?.message || e);
       }
     }
-  }
-
-  // 11 // Sort results by profit
-  const directArbsSorted = [...directArbs].sort((a, b) => (b.estProfitUSD - a.estProfitUSD));
-  const triArbsSorted    = [...triArbs].sort((a, b) => (b.estProfitUSD - a.estProfitUSD));
-
-  // Save results to JSON files
-  fs.writeFileSync('direct_pool.json', JSON.stringify(directArbsSorted, null, 2));
-  fs.writeFileSync('tri_pool.json', JSON.stringify(triArbsSorted, null, 2));
-
-  console.log(`Saved ${directArbsSorted.length} direct and ${triArbsSorted.length} triangular arbs (>= $${MIN_PROFIT_USD})`);
+  });
 })();
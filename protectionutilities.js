@@ -5,6 +5,10 @@ import 'dotenv/config';
 import * as fs from 'fs';
 import { ethers } from 'ethers';
 import { getReadProvider, readFailover } from './dataprovider.js';
+import { multicallEach } from './multicall.js';
+import { loadTickWindows } from './v3ticks.js';
+import { isFlaggedToken, tokenVerdict } from './tokensafety.js';
+import { FLASH_SOURCE_ENV_FLAGS } from './flashsources.js';
 
 // ---------- ENV CONFIG ----------
 const PROFIT_THRESHOLD_BPS = Number(process.env.PROFIT_THRESHOLD_BPS || 100);
@@ -20,6 +24,11 @@ const ESTIMATE_GAS_TIMEOUT_MS = Number(process.env.ESTIMATE_GAS_TIMEOUT_MS || 18
 const MEV_FILE = process.env.MEV_FILE || './mev_queue.json';
 const MEV_LOOKBACK_MS = Number(process.env.MEV_LOOKBACK_MS || 10_000);
 
+const PRICE_CACHE_MS = Number(process.env.PRICE_CACHE_MS || 30_000);
+
+const MULTICALL_BATCH_SIZE = Number(process.env.MULTICALL_BATCH_SIZE || 500);
+const MULTICALL_TIMEOUT_MS = Number(process.env.MULTICALL_TIMEOUT_MS || 8000);
+
 // ---------- READ HELPERS (via dataprovider.js; no WebSockets) ----------
 function withTimeout(promise, ms, label = 'timeout') {
   return Promise.race([
@@ -69,6 +78,16 @@ const V2_PAIR_ABI = [
 const V3_POOL_ABI = [
   'function liquidity() view returns (uint128)',
   'function slot0() view returns (uint160 sqrtPriceX96,int24 tick,int24 observationIndex,int24 observationCardinality,int24 observationCardinalityNext,uint8 feeProtocol,bool unlocked)',
+  'function tickSpacing() view returns (int24)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)'
+];
+
+// Algebra v1 (QuickSwap V3): globalState instead of slot0, fee is dynamic
+const ALGEBRA_POOL_ABI = [
+  'function globalState() view returns (uint160 price, int24 tick, uint16 fee, uint16 timepointIndex, uint8 communityFeeToken0, uint8 communityFeeToken1, bool unlocked)',
+  'function liquidity() view returns (uint128)',
+  'function tickSpacing() view returns (int24)',
   'function token0() view returns (address)',
   'function token1() view returns (address)'
 ];
@@ -91,12 +110,12 @@ function validateSlippage(expectedOut, minOut) {
   return { ok: minOut <= expectedOut && slippageBps <= MAX_SLIPPAGE_BPS, slippageBps, maxSlippageBps: MAX_SLIPPAGE_BPS };
 }
 
-// 2) GAS
+// 2) GAS (cost in USD at the MATIC/POL price, see 13)
 async function assessGas(txRequest) {
-  // gasPrice
+  // gasPrice (an EIP-1559 request is judged by its maxFeePerGas, see gasstrategy.js)
   const gasPrice = await readCall(
     'gasPrice',
-    p => p.getFeeData().then(fd => (txRequest?.gasPrice ?? fd.gasPrice)),
+    p => p.getFeeData().then(fd => (txRequest?.maxFeePerGas ?? txRequest?.gasPrice ?? fd.gasPrice)),
     GAS_PRICE_TIMEOUT_MS
   ).catch(() => null);
 
@@ -113,19 +132,30 @@ async function assessGas(txRequest) {
   if (gasLimit === 0n) return { ok: false, reason: 'gasEstimationFailed' };
   if (gasLimit > GAS_LIMIT_MAX) return { ok: false, reason: 'gasLimitTooHigh', gasLimit };
 
-  return { ok: true, gasPrice, gasLimit };
+  const native = await getNativePriceUSD();
+  if (!native) return { ok: false, reason: 'nativePriceFail', gasPrice, gasLimit };
+  const gasCostUsd = gasCostUSD(gasLimit * gasPrice, native.usd);
+
+  return { ok: true, gasPrice, gasLimit, gasCostUsd, nativeUsd: native.usd, nativePriceSource: native.source };
 }
 
-// 3) PROFIT THRESHOLD (simple USD inputs)
-function meetsProfitThresholdUSD(profitUsd, notionalUsd) {
+// 3) PROFIT THRESHOLD (simple USD inputs; judged on profit net of gasCostUsd)
+function meetsProfitThresholdUSD(profitUsd, notionalUsd, gasCostUsd = 0) {
   if (!Number.isFinite(profitUsd) || !Number.isFinite(notionalUsd) || notionalUsd <= 0)
     return { ok: false, reason: 'invalidInputs', thresholdBps: PROFIT_THRESHOLD_BPS, thresholdUsd: PROFIT_THRESHOLD_USD };
-  const profitBps = (profitUsd / notionalUsd) * 10000;
-  return { ok: profitBps >= PROFIT_THRESHOLD_BPS && profitUsd >= PROFIT_THRESHOLD_USD, profitBps, profitUsd };
+  const netProfitUsd = profitUsd - (gasCostUsd || 0);
+  const profitBps = (netProfitUsd / notionalUsd) * 10000;
+  return {
+    ok: profitBps >= PROFIT_THRESHOLD_BPS && netProfitUsd >= PROFIT_THRESHOLD_USD,
+    profitBps,
+    profitUsd: netProfitUsd,
+    grossProfitUsd: profitUsd,
+    gasCostUsd: gasCostUsd || 0
+  };
 }
 
 // 3b) PROFIT THRESHOLD via CHAINLINK feeds
-async function meetsProfitThresholdUSD_Chainlink(provider, { profitToken, profitAmountWei, notionalToken, notionalAmountWei, feedMap }) {
+async function meetsProfitThresholdUSD_Chainlink(provider, { profitToken, profitAmountWei, notionalToken, notionalAmountWei, feedMap, gasCostUsd = 0 }) {
   try {
     async function fetchPrice(token) {
       const feedAddr = feedMap?.[token];
@@ -149,7 +179,7 @@ async function meetsProfitThresholdUSD_Chainlink(provider, { profitToken, profit
     const profitUsd = Number(ethers.formatUnits(profitAmountWei, 18)) * profitPrice;
     const notionalUsd = Number(ethers.formatUnits(notionalAmountWei, 18)) * notionalPrice;
 
-    return meetsProfitThresholdUSD(profitUsd, notionalUsd);
+    return meetsProfitThresholdUSD(profitUsd, notionalUsd, gasCostUsd);
   } catch {
     return { ok: false, reason: 'chainlinkError' };
   }
@@ -164,12 +194,15 @@ function enforceCooldown(key) {
   return { ok: true };
 }
 
-// 5) FLASHLOAN AVAILABILITY (Aave + Balancer controlled via .env)
+// 5) FLASHLOAN AVAILABILITY (Aave, Balancer and pool flash sources, each switched via .env)
+// candidate.type → .env switch; pool sources (V2/V3 flash swaps, DODO) hold the loan in the pool itself
+const FLASH_TYPE_ENV = { aave: 'AAVE_LOAN', balancer: 'BAL_LOAN', ...FLASH_SOURCE_ENV_FLAGS };
+
 async function isFlashLoanAvailable(candidates = []) {
-  const AAVE_LOAN = (process.env.AAVE_LOAN || 'false').toLowerCase() === 'true';
-  const BAL_LOAN  = (process.env.BAL_LOAN || 'false').toLowerCase() === 'true';
+  const enabled = Object.keys(FLASH_TYPE_ENV)
+    .filter(type => (process.env[FLASH_TYPE_ENV[type]] || 'false').toLowerCase() === 'true');
 
-  if (!AAVE_LOAN && !BAL_LOAN) {
+  if (!enabled.length) {
     return { ok: false, reason: 'loansDisabledInEnv' };
   }
 
@@ -184,27 +217,22 @@ async function isFlashLoanAvailable(candidates = []) {
     ).catch(() => false);
   }
 
-  let aaveOk = false;
-  let balOk = false;
-
-  if (AAVE_LOAN) {
-    const aaveCandidates = candidates.filter(c => c.type === 'aave');
-    for (const c of aaveCandidates) {
-      if (await checkBalance(c.token, c.addr, c.needed)) { aaveOk = true; break; }
+  // type → holders that can cover `needed` (Aave/Balancer stop at the first; every pool source is kept)
+  const available = {};
+  for (const type of enabled) {
+    for (const c of candidates.filter(c => c.type === type)) {
+      if (!(await checkBalance(c.token, c.addr, c.needed))) continue;
+      (available[type] ||= []).push(c.addr);
+      if (type === 'aave' || type === 'balancer') break;
     }
   }
 
-  if (BAL_LOAN) {
-    const balCandidates = candidates.filter(c => c.type === 'balancer');
-    for (const c of balCandidates) {
-      if (await checkBalance(c.token, c.addr, c.needed)) { balOk = true; break; }
-    }
-  }
-
-  if (aaveOk || balOk) {
-    return { ok: true, aave: aaveOk, balancer: balOk };
+  const aaveOk = !!available.aave;
+  const balOk = !!available.balancer;
+  if (Object.keys(available).length) {
+    return { ok: true, aave: aaveOk, balancer: balOk, available };
   } else {
-    return { ok: false, reason: 'noLiquidity', aave: aaveOk, balancer: balOk };
+    return { ok: false, reason: 'noLiquidity', aave: aaveOk, balancer: balOk, available };
   }
 }
 
@@ -242,38 +270,102 @@ function lockProfit(profitUsd, lockPct = 0.75) {
   return { locked: profitUsd * lockPct, leftover: profitUsd * (1 - lockPct) };
 }
 
-// 9) V2 RESERVES
-async function getV2Reserves(pair) {
-  const res = await readCall(
-    `v2.getReserves:${pair}`,
-    async p => {
-      const c = new ethers.Contract(pair, V2_PAIR_ABI, p);
-      const [t0, t1, reserves] = await Promise.all([c.token0(), c.token1(), c.getReserves()]);
-      const r0 = reserves?.reserve0 ?? reserves?.[0];
-      const r1 = reserves?.reserve1 ?? reserves?.[1];
-      const ts = reserves?.blockTimestampLast ?? reserves?.[2];
-      return { token0: t0, token1: t1, r0, r1, tsLast: Number(ts), ts: Date.now() };
-    },
-    2000
+// 9) V2 RESERVES (Multicall3; one entry per pair, null where a read failed)
+const V2_RESERVE_CALLS = [
+  { abi: V2_PAIR_ABI, method: 'token0' },
+  { abi: V2_PAIR_ABI, method: 'token1' },
+  { abi: V2_PAIR_ABI, method: 'getReserves' }
+];
+
+async function getV2ReservesBatch(pairs) {
+  if (!pairs.length) return [];
+  const rows = await readCall(
+    `v2.getReserves:batch(${pairs.length})`,
+    p => multicallEach(p, pairs, V2_RESERVE_CALLS, { batchSize: MULTICALL_BATCH_SIZE }),
+    pairs.length === 1 ? 2000 : MULTICALL_TIMEOUT_MS
   ).catch(() => null);
+  if (!rows) return pairs.map(() => null);
+  const ts = Date.now();
+  return rows.map(([t0, t1, reserves]) => {
+    if (!t0 || !t1 || !reserves) return null;
+    return { token0: t0, token1: t1, r0: reserves[0], r1: reserves[1], tsLast: Number(reserves[2]), ts };
+  });
+}
+
+async function getV2Reserves(pair) {
+  const [res] = await getV2ReservesBatch([pair]);
   return res;
 }
 
-// 10) V3 STATE
-async function getV3State(pool) {
-  const res = await readCall(
-    `v3.slot0:${pool}`,
-    async p => {
-      const c = new ethers.Contract(pool, V3_POOL_ABI, p);
-      const [slot0, liquidity, t0, t1] = await Promise.all([c.slot0(), c.liquidity(), c.token0(), c.token1()]);
-      const sqrtPriceX96 = slot0?.sqrtPriceX96 ?? (Array.isArray(slot0) ? slot0[0] : 0n);
-      return { token0: t0, token1: t1, sqrtPriceX96, liquidity, ts: Date.now() };
-    },
-    2000
+// 10) V3 STATE (Multicall3; one entry per pool, null where a read failed)
+const V3_STATE_CALLS = [
+  { abi: V3_POOL_ABI, method: 'slot0' },
+  { abi: V3_POOL_ABI, method: 'liquidity' },
+  { abi: V3_POOL_ABI, method: 'token0' },
+  { abi: V3_POOL_ABI, method: 'token1' },
+  { abi: V3_POOL_ABI, method: 'tickSpacing' } // range edge for quoter.js
+];
+
+// Initialized ticks around each price (v3ticks.js) so quotes can cross them; on a failed
+// read the states go without, and quoter.js stops at the current range edge instead
+async function withTickWindows(states, kind) {
+  const live = states.filter(Boolean);
+  if (live.length) {
+    await readCall(
+      `${kind}.ticks:batch(${live.length})`,
+      p => loadTickWindows(p, live, kind, { batchSize: MULTICALL_BATCH_SIZE }),
+      MULTICALL_TIMEOUT_MS
+    ).catch(() => null);
+  }
+  return states;
+}
+
+async function getV3StateBatch(pools) {
+  if (!pools.length) return [];
+  const rows = await readCall(
+    `v3.slot0:batch(${pools.length})`,
+    p => multicallEach(p, pools, V3_STATE_CALLS, { batchSize: MULTICALL_BATCH_SIZE }),
+    pools.length === 1 ? 2000 : MULTICALL_TIMEOUT_MS
   ).catch(() => null);
+  if (!rows) return pools.map(() => null);
+  const ts = Date.now();
+  const states = rows.map(([slot0, liquidity, t0, t1, spacing], i) => {
+    if (!slot0 || liquidity == null || !t0 || !t1) return null;
+    return { pairAddr: pools[i], token0: t0, token1: t1, sqrtPriceX96: slot0[0], tick: Number(slot0[1]), tickSpacing: spacing == null ? null : Number(spacing), liquidity, ts };
+  });
+  return withTickWindows(states, 'v3');
+}
+
+async function getV3State(pool) {
+  const [res] = await getV3StateBatch([pool]);
   return res;
 }
 
+// 10b) ALGEBRA STATE (same shape as V3, plus the current fee in hundredths of a bip)
+const ALGEBRA_STATE_CALLS = [
+  { abi: ALGEBRA_POOL_ABI, method: 'globalState' },
+  { abi: ALGEBRA_POOL_ABI, method: 'liquidity' },
+  { abi: ALGEBRA_POOL_ABI, method: 'token0' },
+  { abi: ALGEBRA_POOL_ABI, method: 'token1' },
+  { abi: ALGEBRA_POOL_ABI, method: 'tickSpacing' } // range edge for quoter.js
+];
+
+async function getAlgebraStateBatch(pools) {
+  if (!pools.length) return [];
+  const rows = await readCall(
+    `algebra.globalState:batch(${pools.length})`,
+    p => multicallEach(p, pools, ALGEBRA_STATE_CALLS, { batchSize: MULTICALL_BATCH_SIZE }),
+    pools.length === 1 ? 2000 : MULTICALL_TIMEOUT_MS
+  ).catch(() => null);
+  if (!rows) return pools.map(() => null);
+  const ts = Date.now();
+  const states = rows.map(([gs, liquidity, t0, t1, spacing], i) => {
+    if (!gs || liquidity == null || !t0 || !t1) return null;
+    return { pairAddr: pools[i], token0: t0, token1: t1, sqrtPriceX96: gs[0], tick: Number(gs[1]), tickSpacing: spacing == null ? null : Number(spacing), liquidity, fee: Number(gs[2]), ts };
+  });
+  return withTickWindows(states, 'algebra');
+}
+
 // 11) MEV RISK
 function isMEVRisk() {
   try {
@@ -284,33 +376,98 @@ function isMEVRisk() {
   } catch { return { risk: true }; }
 }
 
+// 12) TOKEN SAFETY (verdicts from tokensafety.js; unchecked tokens pass)
+function checkTokenSafety(tokens = []) {
+  const unsafe = tokens.filter(isFlaggedToken).map(t => ({ token: t, ...tokenVerdict(t) }));
+  return { ok: unsafe.length === 0, unsafe };
+}
+
+// 13) NATIVE (MATIC/POL) PRICE for gas: Chainlink MATIC/USD from chainlinkpricefeed.json,
+//     else the QuickSwap V2 WMATIC/USDC.e pair (NATIVE_USD_PAIR overrides); cached PRICE_CACHE_MS
+const FEEDS_FILE = new URL('./chainlinkpricefeed.json', import.meta.url);
+const FEED_MAX_AGE_S = 90_000; // longest Chainlink heartbeat on Polygon is 24h
+const WMATIC = '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270';
+const USDC_E = '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174';
+const QUICKSWAP_V2_FACTORY = '0x5757371414417b8C6CAad45bAeF941aBc7d3Ab32';
+const V2_FACTORY_ABI = ['function getPair(address, address) view returns (address)'];
+
+let nativePrice = null; // { usd, source, at }
+let nativeUsdPair = process.env.NATIVE_USD_PAIR || null;
+
+async function readMaticFeed() {
+  let feedAddr;
+  try {
+    const entry = JSON.parse(fs.readFileSync(FEEDS_FILE, 'utf8')).MATIC;
+    feedAddr = typeof entry === 'string' ? entry : entry?.feedAddress;
+  } catch {
+    return null;
+  }
+  if (!feedAddr) return null;
+  const [dec, rd] = await readCall('chainlink.MATIC', p => {
+    const c = new ethers.Contract(feedAddr, AGG_V3_ABI, p);
+    return Promise.all([c.decimals(), c.latestRoundData()]);
+  }, 2000).catch(() => [null, null]);
+  if (dec == null || !rd || rd[1] <= 0n) return null;
+  if (Math.floor(Date.now() / 1000) - Number(rd[3]) > FEED_MAX_AGE_S) return null; // stale round
+  return Number(rd[1]) / 10 ** Number(dec);
+}
+
+async function readMaticFromPool() {
+  nativeUsdPair ??= await readCall('quickswap.getPair', p =>
+    new ethers.Contract(QUICKSWAP_V2_FACTORY, V2_FACTORY_ABI, p).getPair(WMATIC, USDC_E), 2000).catch(() => null);
+  const res = nativeUsdPair ? await getV2Reserves(nativeUsdPair) : null;
+  if (!res || res.r0 === 0n || res.r1 === 0n) return null;
+  const maticIs0 = res.token0.toLowerCase() === WMATIC.toLowerCase();
+  const [rMatic, rUsd] = maticIs0 ? [res.r0, res.r1] : [res.r1, res.r0];
+  return (Number(rUsd) / 1e6) / (Number(rMatic) / 1e18); // USDC.e 6 decimals, WMATIC 18
+}
+
+/** @returns {Promise<{ usd: number, source: 'chainlink'|'pool'|'stale' } | null>} */
+async function getNativePriceUSD() {
+  if (nativePrice && Date.now() - nativePrice.at < PRICE_CACHE_MS) return nativePrice;
+  const feed = await readMaticFeed();
+  const usd = feed ?? await readMaticFromPool();
+  if (!(usd > 0)) return nativePrice ? { ...nativePrice, source: 'stale' } : null; // last good price beats none
+  nativePrice = { usd, source: feed != null ? 'chainlink' : 'pool', at: Date.now() };
+  return nativePrice;
+}
+
+function gasCostUSD(gasCostWei, nativeUsd) {
+  return Number(ethers.formatUnits(gasCostWei, 18)) * nativeUsd;
+}
+
 // ---------- COMPOSED GUARD ----------
 async function runProtections(params) {
   const { routeKey, expectedOut, minOut, txRequest,
     profitUsd, notionalUsd, profitToken, profitAmountWei, notionalToken, notionalAmountWei, feedMap,
-    wallet, v2PairAddr, v3PoolAddr,
+    wallet, v2PairAddr, v3PoolAddr, routeTokens = [],
     fallbackTokens = [], neededBalance, flashCandidates = [] } = params;
 
   if (!enforceCooldown(routeKey).ok) return { ok: false, reason: 'cooldown' };
   if (isMEVRisk().risk) return { ok: false, reason: 'mevRisk' };
 
+  const safety = checkTokenSafety(routeTokens);
+  if (!safety.ok) return { ok: false, reason: 'unsafeToken', details: safety };
+
   const slip = validateSlippage(expectedOut, minOut);
   if (!slip.ok) return { ok: false, reason: 'slippage', details: slip };
 
+  // Gas first: the profit threshold is judged net of its USD cost. Without a txRequest
+  // (nothing built yet) gas is left to the caller's own gate and the gross profit is judged.
+  const gas = txRequest ? await assessGas(txRequest) : { ok: true, gasCostUsd: 0, skipped: 'noTxRequest' };
+  if (!gas.ok) return { ok: false, reason: 'gasBad', details: gas };
+
   let pt;
   if (Number.isFinite(profitUsd) && Number.isFinite(notionalUsd)) {
-    pt = meetsProfitThresholdUSD(profitUsd, notionalUsd);
+    pt = meetsProfitThresholdUSD(profitUsd, notionalUsd, gas.gasCostUsd);
   } else {
     // use read provider (no websockets)
     pt = await meetsProfitThresholdUSD_Chainlink(getReadProvider(), {
-      profitToken, profitAmountWei, notionalToken, notionalAmountWei, feedMap
+      profitToken, profitAmountWei, notionalToken, notionalAmountWei, feedMap, gasCostUsd: gas.gasCostUsd
     });
   }
   if (!pt.ok) return { ok: false, reason: 'profitBelowThreshold', details: pt };
 
-  const gas = await assessGas(txRequest);
-  if (!gas.ok) return { ok: false, reason: 'gasBad', details: gas };
-
   if (neededBalance?.token) {
     const wb = await hasWalletBalance(wallet, neededBalance.token, neededBalance.amountWei);
     if (!wb.ok) return { ok: false, reason: 'insufficientBalance', details: wb };
@@ -341,8 +498,14 @@ export {
   hasWalletBalance,
   lockProfit,
   getV2Reserves,
+  getV2ReservesBatch,
   getV3State,
+  getV3StateBatch,
+  getAlgebraStateBatch,
   isMEVRisk,
+  checkTokenSafety,
+  getNativePriceUSD,
+  gasCostUSD,
   runProtections
 };
 
@@ -0,0 +1,196 @@
+// quoter.js — exact-in AMM quoting and trade sizing over poolfetcher pool records (ESM, BigInt)
+// Every venue kind is simulated with its own math (V2 constant product, V3/Algebra
+// tick-by-tick liquidity, Balancer, Curve, DODO PMM, Kyber Elastic), fees included.
+
+import { balancerOutGivenIn } from './balancerpools.js';
+import { curveGetDy } from './curvepools.js';
+import { dodoQuote } from './dodopools.js';
+import { kyberQuote } from './kyberpools.js';
+import { sqrtPriceAtTick, MIN_TICK, MAX_TICK } from './v3ticks.js';
+
+const Q96 = 2n ** 96n;
+const FEE_PPM = 1_000_000n;
+const SIZING_MAX_ITERATIONS = 128;
+
+const sameAddr = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// bps (may be fractional, e.g. Algebra 4.5) → parts per million
+function bpsToPpm(feeBps) {
+  return BigInt(Math.round((Number(feeBps) || 0) * 100));
+}
+
+// ---------- PER-VENUE MATH ----------
+
+/** Uniswap V2 getAmountOut with an arbitrary fee. */
+export function v2AmountOut(amountIn, reserveIn, reserveOut, feeBps) {
+  const rIn = BigInt(reserveIn || 0);
+  const rOut = BigInt(reserveOut || 0);
+  if (amountIn <= 0n || rIn <= 0n || rOut <= 0n) return 0n;
+  const amountInWithFee = amountIn * (FEE_PPM - bpsToPpm(feeBps));
+  return (amountInWithFee * rOut) / (rIn * FEE_PPM + amountInWithFee);
+}
+
+// ---------- V3 / ALGEBRA ----------
+
+const ceilDiv = (a, b) => (a + b - 1n) / b;
+
+// SqrtPriceMath deltas between sqrt prices a < b
+function amount0Delta(a, b, L, roundUp) {
+  const num = (L << 96n) * (b - a);
+  return roundUp ? ceilDiv(ceilDiv(num, b), a) : num / b / a;
+}
+function amount1Delta(a, b, L, roundUp) {
+  return roundUp ? ceilDiv(L * (b - a), Q96) : (L * (b - a)) / Q96;
+}
+
+// SwapMath.computeSwapStep for exact input: moves from sqrtP toward target (null = unbounded)
+function swapStep(sqrtP, target, L, remaining, feePpm, zeroForOne) {
+  const lessFee = (remaining * (FEE_PPM - feePpm)) / FEE_PPM;
+  if (target != null) {
+    const toTarget = zeroForOne ? amount0Delta(target, sqrtP, L, true) : amount1Delta(sqrtP, target, L, true);
+    if (lessFee >= toTarget) {
+      const fee = ceilDiv(toTarget * feePpm, FEE_PPM - feePpm);
+      const out = zeroForOne ? amount1Delta(target, sqrtP, L, false) : amount0Delta(sqrtP, target, L, false);
+      return { sqrtP: target, used: toTarget + fee, out, reached: true };
+    }
+  }
+  if (L <= 0n) return { sqrtP, used: 0n, out: 0n, reached: false };
+  const next = zeroForOne
+    ? ceilDiv(L * Q96 * sqrtP, L * Q96 + lessFee * sqrtP) // round up, as SqrtPriceMath does
+    : sqrtP + (lessFee * Q96) / L;
+  const out = zeroForOne ? amount1Delta(next, sqrtP, L, false) : amount0Delta(sqrtP, next, L, false);
+  return { sqrtP: next, used: remaining, out, reached: false };
+}
+
+// Next tick the swap runs into from `tick`: { tick, liquidityNet } for an initialized tick
+// to cross, { tick } for a bound the quote stops at, null with no tick data at all.
+// With a tickWindow (v3ticks.js) that is the real next initialized tick, or the window
+// edge when there is none in it. Without one, the current tickSpacing range edge stands
+// in; a price sitting exactly on that edge looks at the next range instead of stopping.
+function nextTick(pool, tick, zeroForOne) {
+  const win = pool.tickWindow;
+  if (win && tick >= win.lower && tick <= win.upper) {
+    if (zeroForOne) {
+      for (let k = win.ticks.length - 1; k >= 0; k--) if (win.ticks[k].tick <= tick) return win.ticks[k];
+      return { tick: win.lower };
+    }
+    for (const t of win.ticks) if (t.tick > tick) return t;
+    return { tick: win.upper };
+  }
+  const spacing = Number(pool.tickSpacing);
+  if (!Number.isInteger(tick) || !(spacing > 0)) return null;
+  const lower = Math.floor(tick / spacing) * spacing;
+  if (!zeroForOne) return { tick: lower + spacing };
+  return { tick: lower === tick ? lower - spacing : lower };
+}
+
+// V3 / Algebra exact-in, stepping tick by tick: liquidityNet is applied at every
+// initialized tick crossed. Input that would move the price past the last tick known
+// (window edge, or range edge without tick data) is not counted, so sizing stays where
+// the liquidity is known. Without tick / tickSpacing the whole input is quoted at L.
+function v3AmountOut(pool, zeroForOne, amountIn) {
+  let L = BigInt(pool.liquidity || 0);
+  let sqrtP = BigInt(pool.sqrtPriceX96 || 0);
+  if (sqrtP <= 0n) return 0n;
+  const feePpm = BigInt(pool.fee || 0);
+  let tick = pool.tick;
+  let remaining = amountIn;
+  let out = 0n;
+
+  while (remaining > 0n) {
+    const next = nextTick(pool, tick, zeroForOne);
+    const target = next ? sqrtPriceAtTick(next.tick) : null;
+    const step = swapStep(sqrtP, target, L, remaining, feePpm, zeroForOne);
+    out += step.out;
+    remaining -= step.used;
+    sqrtP = step.sqrtP;
+    if (!step.reached || next.liquidityNet == null || next.tick <= MIN_TICK || next.tick >= MAX_TICK) break;
+    L = zeroForOne ? L - next.liquidityNet : L + next.liquidityNet;
+    if (L < 0n) break; // stale window against newer liquidity
+    tick = zeroForOne ? next.tick - 1 : next.tick;
+  }
+
+  // Never quote more than the pool actually holds
+  const held = BigInt((zeroForOne ? pool.balance1 : pool.balance0) ?? out);
+  return out > held ? held : (out > 0n ? out : 0n);
+}
+
+/**
+ * Exact-in output of one pool for tokenIn → the pool's other token.
+ * @param {object} pool     poolfetcher pool record (any kind)
+ * @param {number} [feeBps] V2 fee; defaults to pool.feeBps (other kinds carry their own)
+ * @returns {bigint}
+ */
+export function quoteExactIn(pool, tokenIn, amountIn, feeBps = pool.feeBps) {
+  const amt = BigInt(amountIn);
+  if (amt <= 0n) return 0n;
+  const zeroForOne = sameAddr(tokenIn, pool.token0);
+  const [i, j] = zeroForOne ? [pool.index0, pool.index1] : [pool.index1, pool.index0];
+
+  switch (pool.kind) {
+    case 'v3':
+    case 'algebra':
+      return v3AmountOut(pool, zeroForOne, amt);
+    case 'balancer':
+      return balancerOutGivenIn(pool.state, i, j, amt);
+    case 'curve':
+      return curveGetDy(pool.state, i, j, amt);
+    case 'dodo':
+      return dodoQuote(pool.state, zeroForOne, amt);
+    case 'kyber':
+      return kyberQuote(pool.state, zeroForOne, amt);
+    default:
+      return zeroForOne
+        ? v2AmountOut(amt, pool.reserve0, pool.reserve1, feeBps)
+        : v2AmountOut(amt, pool.reserve1, pool.reserve0, feeBps);
+  }
+}
+
+// ---------- ROUTES ----------
+
+/**
+ * Chain exact-in quotes through hops.
+ * @param {{ pool: object, tokenIn: string, feeBps?: number }[]} hops
+ * @returns {bigint[]} output of each hop (0n from the first hop that cannot fill onwards)
+ */
+export function quoteRoute(hops, amountIn) {
+  const outs = [];
+  let amt = BigInt(amountIn);
+  for (const hop of hops) {
+    amt = amt > 0n ? quoteExactIn(hop.pool, hop.tokenIn, amt, hop.feeBps ?? hop.pool.feeBps) : 0n;
+    outs.push(amt);
+  }
+  return outs;
+}
+
+/**
+ * Profit-maximising input for a cyclic route (last hop returns the first hop's tokenIn).
+ * profit(x) = out(x) - x is concave for every supported curve, so a ternary
+ * search over [0, maxIn] converges on the optimum.
+ * @returns {{ amountIn: bigint, amountsOut: bigint[], profit: bigint } | null} null if no size is profitable
+ */
+export function optimalAmountIn(hops, maxIn) {
+  let lo = 0n;
+  let hi = BigInt(maxIn);
+  if (hi <= 0n) return null;
+
+  const profitAt = (x) => {
+    const outs = quoteRoute(hops, x);
+    return outs[outs.length - 1] - x;
+  };
+
+  for (let k = 0; k < SIZING_MAX_ITERATIONS && hi - lo > 2n; k++) {
+    const third = (hi - lo) / 3n;
+    const m1 = lo + third;
+    const m2 = hi - third;
+    if (profitAt(m1) < profitAt(m2)) lo = m1;
+    else hi = m2;
+    if (third * 10_000n < hi) break; // within 0.03% of the optimum
+  }
+
+  const amountIn = (lo + hi) / 2n;
+  if (amountIn <= 0n) return null;
+  const amountsOut = quoteRoute(hops, amountIn);
+  const profit = amountsOut[amountsOut.length - 1] - amountIn;
+  return profit > 0n ? { amountIn, amountsOut, profit } : null;
+}
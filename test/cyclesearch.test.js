@@ -0,0 +1,53 @@
+// Cycle search scoped to changed pools: a profitable cycle through the changed pool is
+// found even when cheaper paths to the same tokens avoid it.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTokenGraph } from '../cyclesearch.js';
+
+const W = '0x' + '01'.repeat(20);
+const A = '0x' + '02'.repeat(20);
+const B = '0x' + '03'.repeat(20);
+const C = '0x' + '04'.repeat(20);
+
+// fwd: token1 per token0, back: token0 per token1 (no fee)
+const pool = (n, token0, token1, fwd, back) => ({ pairAddr: '0x' + n.repeat(20), token0, token1, fwd, back });
+
+function graph(pools) {
+  const g = createTokenGraph({ rate: (p, t) => (t === p.token0 ? p.fwd : p.back), feeBps: () => 0 });
+  pools.forEach(p => g.addPool(p));
+  return g;
+}
+const poolsOf = (cycles) => cycles.map(c => c.hops.map(h => h.pool.pairAddr));
+
+test('a cycle through the changed pool is found next to a cheaper parallel pool', () => {
+  const P1 = pool('a1', W, A, 1.0, 1.0);
+  const P2 = pool('a2', W, A, 1.02, 0.97); // cheapest W → A, avoids the changed pool
+  const Q = pool('a3', W, A, 1.005, 0.99);
+  const g = graph([P1, P2, Q]);
+
+  const cycles = g.findCycles([W], { mustIncludePool: Q.pairAddr });
+  assert.ok(cycles.length > 0);
+  for (const pools of poolsOf(cycles)) assert.ok(pools.includes(Q.pairAddr));
+  assert.ok(poolsOf(cycles).some(p => p[0] === Q.pairAddr && p[1] === P1.pairAddr));
+  assert.deepEqual(poolsOf(g.findCycles([W])), [[P2.pairAddr, P1.pairAddr]]);
+});
+
+test('a cycle through the changed pool is found when the cheaper path to its token avoids it', () => {
+  const WC = pool('b1', W, C, 1.0, 1.0);
+  const CA = pool('b2', C, A, 1.1, 0.9);    // W → C → A: cheapest 2-hop path to A
+  const WB = pool('b3', W, B, 1.0, 1.0);
+  const Q = pool('b4', B, A, 1.0, 1.0);     // changed pool: W → B → A costs more
+  const AW = pool('b5', A, W, 1.05, 0.9);
+  const g = graph([WC, CA, WB, Q, AW]);
+
+  const cycles = g.findCycles([W], { mustIncludePool: [Q.pairAddr], maxHops: 3 });
+  assert.ok(poolsOf(cycles).some(p => p.join() === [WB.pairAddr, Q.pairAddr, AW.pairAddr].join()));
+  for (const c of cycles) assert.ok(c.weight < 0);
+});
+
+test('without a profitable cycle through the changed pool nothing is returned', () => {
+  const P1 = pool('c1', W, A, 1.0, 1.0);
+  const P2 = pool('c2', W, A, 1.02, 0.97);
+  const Q = pool('c3', W, A, 0.99, 0.95);
+  assert.deepEqual(graph([P1, P2, Q]).findCycles([W], { mustIncludePool: Q.pairAddr }), []);
+});
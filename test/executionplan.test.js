@@ -0,0 +1,68 @@
+// Record → plan mapping and packed exactInput paths: encoding then decoding a path gives
+// back its tokens, and hops the executors cannot swap through are refused up front.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  toExecutionPlan, encodeV3Path, encodeAlgebraPath, decodePackedPath, v3FeeOf
+} from '../executionplan.js';
+
+const W = '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270';
+const U = '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359';
+const E = '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619';
+const routers = {
+  'QuickSwap V2': '0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff',
+  'Uniswap V3': '0xE592427A0AEce92De3Edc1F18E0157C058615645',
+  'QuickSwap V3': '0xf5b509bB0909a69B1c207E495f687a596C168E12'
+};
+
+const record = (kinds, dexs, feesBps) => ({
+  id: 'r1',
+  type: 'cycle',
+  route: [W, U, E, W],
+  pools: ['0x' + '01'.repeat(20), '0x' + '02'.repeat(20), '0x' + '03'.repeat(20)],
+  dexs,
+  kinds,
+  feesBps,
+  optimalAmountIn: '1000000000000000000000',
+  expectedOut: ['500000000', '250000000000000000', '1010000000000000000000'],
+  netProfit: '10000000000000000000',
+  estProfitUSD: 5
+});
+
+test('a V3 path decodes back to its tokens, with each fee tier in place', () => {
+  const tokens = [W, U, E, W];
+  const path = encodeV3Path(tokens, [500, 3000, 100]);
+  assert.equal((path.length - 2) / 2, 20 * 4 + 3 * 3);
+  assert.deepEqual(decodePackedPath(path, true), tokens);
+  assert.equal(parseInt(path.slice(42, 48), 16), 500);
+  assert.equal(decodePackedPath(path, false), null); // wrong layout is refused, not misread
+});
+
+test('an Algebra path decodes back to its tokens', () => {
+  const tokens = [W, U, E];
+  assert.deepEqual(decodePackedPath(encodeAlgebraPath(tokens), false), tokens);
+});
+
+test('a record maps to a plan whose V3 hops re-encode to the same route', () => {
+  const mapped = toExecutionPlan(record(['v2', 'v3', 'v3'], ['QuickSwap V2', 'Uniswap V3', 'Uniswap V3'], [30, 5, 30]), routers);
+  assert.equal(mapped.ok, true);
+  const { plan } = mapped;
+  assert.equal(plan.loanAmount, 1000n * 10n ** 18n);
+  assert.deepEqual(plan.hops.map(h => h.tokenIn), [W, U, E]);
+  assert.deepEqual(plan.hops.map(h => h.router), [routers['QuickSwap V2'], routers['Uniswap V3'], routers['Uniswap V3']]);
+
+  const v3Hops = plan.hops.slice(1);
+  const path = encodeV3Path([v3Hops[0].tokenIn, ...v3Hops.map(h => h.tokenOut)], v3Hops.map(v3FeeOf));
+  assert.deepEqual(decodePackedPath(path, true), [U, E, W]);
+  assert.deepEqual(v3Hops.map(v3FeeOf), [500, 3000]);
+});
+
+test('Algebra hops and hops without a router are refused', () => {
+  const algebra = toExecutionPlan(record(['v2', 'algebra', 'v2'], ['QuickSwap V2', 'QuickSwap V3', 'QuickSwap V2'], [30, 10, 30]), routers);
+  assert.equal(algebra.ok, false);
+  assert.match(algebra.reason, /hop 2/);
+
+  const noRouter = toExecutionPlan(record(['v2', 'v2', 'v2'], ['QuickSwap V2', 'Nowhere', 'QuickSwap V2'], [30, 30, 30]), routers);
+  assert.equal(noRouter.ok, false);
+  assert.match(noRouter.reason, /no router/);
+});
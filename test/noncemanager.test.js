@@ -0,0 +1,45 @@
+// Nonce allocation: a nonce whose send failed is handed out again, so no gap holds back
+// later transactions, while a nonce that was broadcast is never reused.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNonceManager } from '../noncemanager.js';
+
+const wallet = { address: '0x000000000000000000000000000000000000bEEF' };
+
+function fakeChain(count = 7) {
+  return {
+    getTransactionCount: async () => count,
+    getBlockNumber: async () => 100,
+    getTransactionReceipt: async () => null,
+    getFeeData: async () => ({})
+  };
+}
+
+const manager = () => createNonceManager(wallet, fakeChain(), { send: async () => ({ hash: '0x' }) });
+
+test('a nonce released after a failed send is reused by the next acquire', async () => {
+  const nonces = manager();
+  const first = await nonces.acquire();
+  assert.equal(first, 7);
+  nonces.release(first); // every relay rejected the tx
+  assert.equal(await nonces.acquire(), 7);
+  assert.equal(await nonces.acquire(), 8);
+});
+
+test('the lowest released nonce goes out first', async () => {
+  const nonces = manager();
+  const [a, b, c] = [await nonces.acquire(), await nonces.acquire(), await nonces.acquire()];
+  nonces.release(c);
+  nonces.release(a);
+  assert.equal(await nonces.acquire(), a);
+  assert.equal(await nonces.acquire(), c);
+  assert.equal(await nonces.acquire(), b + 2);
+});
+
+test('a broadcast nonce is not reused even if released', async () => {
+  const nonces = manager();
+  const nonce = await nonces.acquire();
+  nonces.track({ nonce, to: wallet.address, data: '0x' }, '0xabc');
+  nonces.release(nonce);
+  assert.equal(await nonces.acquire(), nonce + 1);
+});
@@ -0,0 +1,56 @@
+// Claims on stored opportunities: one holder at a time, released or expired claims can be
+// taken again, and rewriting the opportunity file (every poolfetcher block) keeps them.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  replaceOpportunities, claimHolder, claimOpportunity, releaseOpportunity, removeOpportunity
+} from '../opportunitystore.js';
+
+const W = '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270';
+const U = '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359';
+const rec = (n) => ({ route: [W, U, W], pools: ['0x' + String(n).repeat(40), '0x' + 'f'.repeat(40)], estProfitUSD: n });
+
+let file;
+let ids;
+beforeEach(() => {
+  file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'opportunities-')), 'tri_pool.json');
+  ids = replaceOpportunities(file, 'cycle', [rec(1), rec(2)], 100).map(r => r.id);
+});
+
+test('a claimed opportunity cannot be claimed by another consumer until released', () => {
+  assert.equal(claimOpportunity(file, ids[0], 'a'), true);
+  assert.equal(claimHolder(file, ids[0]), 'a');
+  assert.equal(claimOpportunity(file, ids[0], 'b'), false);
+  assert.equal(claimOpportunity(file, ids[0], 'a'), true); // re-claim by the holder
+
+  assert.equal(releaseOpportunity(file, ids[0], 'b'), false);
+  assert.equal(releaseOpportunity(file, ids[0], 'a'), true);
+  assert.equal(claimHolder(file, ids[0]), null);
+  assert.equal(claimOpportunity(file, ids[0], 'b'), true);
+});
+
+test('claims survive the opportunity file being rewritten', () => {
+  assert.equal(claimOpportunity(file, ids[1], 'a'), true);
+  replaceOpportunities(file, 'cycle', [rec(2), rec(1)], 101);
+  assert.equal(claimHolder(file, ids[1]), 'a');
+  assert.equal(claimOpportunity(file, ids[1], 'b'), false);
+  assert.ok(!fs.readFileSync(file, 'utf8').includes('claimedBy'));
+});
+
+test('an expired claim can be taken over', () => {
+  assert.equal(claimOpportunity(file, ids[0], 'a', { ttlMs: 0 }), true);
+  assert.equal(claimHolder(file, ids[0], { ttlMs: 0 }), null);
+  assert.equal(claimOpportunity(file, ids[0], 'b', { ttlMs: 0 }), true);
+});
+
+test('an opportunity that is gone cannot be claimed, and removing one drops its claim', () => {
+  assert.equal(claimOpportunity(file, '0xmissing', 'a'), false);
+  assert.equal(claimOpportunity(file, ids[0], 'a'), true);
+  assert.equal(removeOpportunity(file, ids[0]), true);
+  assert.equal(claimHolder(file, ids[0]), null);
+  assert.equal(claimOpportunity(file, ids[0], 'b'), false);
+  assert.ok(!fs.existsSync(`${file}.claims.lock`));
+});
@@ -0,0 +1,146 @@
+// Exact-in quotes per venue kind: each one checked against the closed form it must match,
+// and V3 against tick crossings, range boundaries and the pool-balance cap.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quoteExactIn } from '../quoter.js';
+import { sqrtPriceAtTick } from '../v3ticks.js';
+
+const A = '0x' + 'aa'.repeat(20);
+const B = '0x' + 'bb'.repeat(20);
+const E18 = 10n ** 18n;
+const Q96 = 2n ** 96n;
+
+const near = (actual, expected, ppm, msg) => {
+  const diff = actual > expected ? actual - expected : expected - actual;
+  assert.ok(diff * 1_000_000n <= expected * BigInt(ppm), `${msg}: ${actual} vs ${expected}`);
+};
+
+test('v2 matches getAmountOut with the pool fee', () => {
+  const pool = { kind: 'v2', token0: A, token1: B, reserve0: 10n ** 24n, reserve1: 2n * 10n ** 24n, feeBps: 30 };
+  const x = 10n ** 21n;
+  const expected = (x * 997n * pool.reserve1) / (pool.reserve0 * 1000n + x * 997n);
+  assert.equal(quoteExactIn(pool, A, x), expected);
+  assert.equal(quoteExactIn(pool, B, x), (x * 997n * pool.reserve0) / (pool.reserve1 * 1000n + x * 997n));
+});
+
+// ---------- V3 ----------
+const L = 10n ** 24n;
+const v3 = (extra = {}) => ({
+  kind: 'v3', token0: A, token1: B, fee: 3000, tick: 5, tickSpacing: 10,
+  sqrtPriceX96: sqrtPriceAtTick(5) + 12345n, liquidity: L, ...extra
+});
+const window = (ticks) => ({ lower: -2560 * 2, upper: 2560 * 3 - 10, ticks });
+
+test('sqrtPriceAtTick is TickMath.getSqrtRatioAtTick', () => {
+  assert.equal(sqrtPriceAtTick(0), Q96);
+  assert.equal(sqrtPriceAtTick(-887272), 4295128739n);
+  assert.equal(sqrtPriceAtTick(887272), 1461446703485210103287273052203988822378723970342n);
+});
+
+test('v3 keeps quoting past the tickSpacing edge when no tick is initialized there', () => {
+  const pool = v3({ tickWindow: window([]) });
+  const out = quoteExactIn(pool, A, 1000n * E18);
+  // ~1:1 price, 0.3% fee, 0.1% impact: nowhere near the quarter a range-edge cap would give
+  near(out, 997n * E18, 2000, 'zeroForOne');
+  near(quoteExactIn(pool, B, 1000n * E18), 997n * E18, 2000, 'oneForZero');
+});
+
+test('v3 stops where crossing a tick removes the liquidity', () => {
+  const pool = v3({ tickWindow: window([{ tick: -100, liquidityNet: L }]) });
+  const sqrtP = pool.sqrtPriceX96;
+  const target = sqrtPriceAtTick(-100);
+  assert.equal(quoteExactIn(pool, A, 10n ** 30n), (L * (sqrtP - target)) / Q96);
+});
+
+test('v3 uses the added liquidity after crossing a tick', () => {
+  const flat = quoteExactIn(v3({ tickWindow: window([]) }), A, 100_000n * E18);
+  const deeper = quoteExactIn(v3({ tickWindow: window([{ tick: -20, liquidityNet: -L }]) }), A, 100_000n * E18);
+  assert.ok(deeper > flat, `${deeper} should beat ${flat}`);
+  const up = quoteExactIn(v3({ tickWindow: window([{ tick: 30, liquidityNet: L }]) }), B, 100_000n * E18);
+  assert.ok(up > quoteExactIn(v3({ tickWindow: window([]) }), B, 100_000n * E18));
+});
+
+test('v3 without tick data does not quote zero with the price on a range boundary', () => {
+  const pool = v3({ tick: 10, sqrtPriceX96: sqrtPriceAtTick(10) });
+  assert.ok(quoteExactIn(pool, A, E18) > 0n);
+  assert.ok(quoteExactIn(pool, B, E18) > 0n);
+});
+
+test('v3 never quotes more than the pool holds', () => {
+  const pool = v3({ tickWindow: window([]), balance0: 10n ** 24n, balance1: 5n * E18 });
+  assert.equal(quoteExactIn(pool, A, 1000n * E18), 5n * E18);
+});
+
+// ---------- MULTI-TOKEN AND PMM ----------
+test('balancer weighted matches the 50/50 closed form, stable stays near 1:1', () => {
+  const weighted = {
+    kind: 'balancer', token0: A, token1: B, index0: 0, index1: 1,
+    state: { poolType: 'weighted', balances: [10n ** 24n, 10n ** 24n], weights: [E18 / 2n, E18 / 2n], swapFee: 3n * 10n ** 15n }
+  };
+  const x = 10n ** 21n;
+  const xf = (x * 997n) / 1000n;
+  near(quoteExactIn(weighted, A, x), (xf * 10n ** 24n) / (10n ** 24n + xf), 1, 'weighted');
+
+  const stable = {
+    kind: 'balancer', token0: A, token1: B, index0: 0, index1: 1,
+    state: {
+      poolType: 'stable', balances: [10n ** 24n, 10n ** 24n], scalingFactors: [E18, E18],
+      amp: 200_000n, ampPrecision: 1000n, swapFee: 10n ** 14n
+    }
+  };
+  near(quoteExactIn(stable, B, x), (x * 9999n) / 10_000n, 100, 'stable');
+});
+
+test('curve balanced pool quotes near 1:1 less its fee', () => {
+  const pool = {
+    kind: 'curve', token0: A, token1: B, index0: 0, index1: 1,
+    state: { balances: [10n ** 24n, 10n ** 24n], rates: [E18, E18], A: 100n, fee: 4_000_000n }
+  };
+  const x = 10n ** 21n;
+  near(quoteExactIn(pool, A, x), (x * 9996n) / 10_000n, 100, 'curve');
+});
+
+test('dodo with K = 0 trades at the oracle price less fees', () => {
+  const pool = {
+    kind: 'dodo', token0: A, token1: B,
+    state: {
+      i: 2n * E18, K: 0n, B: 10n ** 24n, Q: 10n ** 24n, B0: 10n ** 24n, Q0: 10n ** 24n, R: 0n,
+      lpFeeRate: 3n * 10n ** 15n, mtFeeRate: 0n
+    }
+  };
+  near(quoteExactIn(pool, A, E18), (2n * E18 * 997n) / 1000n, 1, 'sell base');
+  near(quoteExactIn(pool, B, 2n * E18), (E18 * 997n) / 1000n, 1, 'sell quote');
+});
+
+test('kyber without a fee matches the v3 single-range curve', () => {
+  const sqrtP = sqrtPriceAtTick(5);
+  const kyber = fee => ({
+    kind: 'kyber', token0: A, token1: B,
+    state: { baseL: L, reinvestL: 0n, sqrtP, swapFeeUnits: fee }
+  });
+  const flat = { kind: 'v3', token0: A, token1: B, fee: 0, sqrtPriceX96: sqrtP, liquidity: L };
+  for (const tokenIn of [A, B]) {
+    near(quoteExactIn(kyber(0), tokenIn, 1000n * E18), quoteExactIn(flat, tokenIn, 1000n * E18), 1, 'no fee');
+    assert.ok(quoteExactIn(kyber(30), tokenIn, 1000n * E18) < quoteExactIn(kyber(0), tokenIn, 1000n * E18));
+  }
+});
+
+test('kyber stops at the range edge, crosses the lower edge it sits on, and caps at the balance', () => {
+  const kyber = (extra = {}) => ({
+    kind: 'kyber', token0: A, token1: B,
+    state: {
+      baseL: L, reinvestL: 0n, sqrtP: sqrtPriceAtTick(5), swapFeeUnits: 0,
+      lowerTick: -100, upperTick: 100, previousTick: -200, lowerLiquidityNet: L / 2n, ...extra
+    }
+  });
+  const huge = 10n ** 30n;
+  near(quoteExactIn(kyber(), A, huge), (L * (sqrtPriceAtTick(5) - sqrtPriceAtTick(-100))) / Q96, 1, 'down to lower');
+  assert.ok(quoteExactIn(kyber(), B, huge) > 0n);
+  const feed = kyber({ swapFeeUnits: 10 });
+  assert.equal(quoteExactIn(feed, A, huge), quoteExactIn(feed, A, 2n * huge));
+
+  const onEdge = kyber({ sqrtP: sqrtPriceAtTick(-100) });
+  near(quoteExactIn(onEdge, A, huge), ((L / 2n) * (sqrtPriceAtTick(-100) - sqrtPriceAtTick(-200))) / Q96, 1, 'crossed lower');
+
+  assert.equal(quoteExactIn(kyber({ balance1: 7n }), A, E18), 7n);
+});
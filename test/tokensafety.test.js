@@ -0,0 +1,76 @@
+// Token-safety gate: a route through a flagged token must not pass runProtections,
+// including verdicts written to token_safety.json after the process started.
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const WMATIC = '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270';
+const USDC = '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359';
+const SCAM = '0x000000000000000000000000000000000000dEaD';
+
+const record = (id, mid) => ({
+  id,
+  type: 'cycle',
+  route: [WMATIC, mid, USDC, WMATIC],
+  pools: ['0x' + '01'.repeat(20), '0x' + '02'.repeat(20), '0x' + '03'.repeat(20)],
+  dexs: ['QuickSwap V2', 'QuickSwap V2', 'QuickSwap V2'],
+  kinds: ['v2', 'v2', 'v2'],
+  feesBps: [30, 30, 30],
+  optimalAmountIn: '1000000000000000000000',
+  expectedOut: ['5000000000', '4990000000', '1100000000000000000000'],
+  netProfit: '100000000000000000000',
+  estProfitUSD: 50
+});
+const routers = { 'QuickSwap V2': '0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff' };
+
+let protection;
+let toExecutionPlan;
+let planRouteTokens;
+
+function writeVerdicts(verdicts) {
+  fs.writeFileSync('token_safety.json', JSON.stringify(verdicts, null, 2));
+}
+
+// token_safety.json and mev_queue.json are read relative to the working directory
+before(async () => {
+  process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'tokensafety-')));
+  ({ toExecutionPlan, planRouteTokens } = await import('../executionplan.js'));
+  protection = await import('../protectionutilities.js');
+});
+
+async function protect(id, mid) {
+  const { ok, plan } = toExecutionPlan(record(id, mid), routers);
+  assert.ok(ok);
+  const expectedOut = plan.hops[plan.hops.length - 1].expectedOut;
+  return protection.runProtections({
+    routeKey: id,
+    expectedOut,
+    minOut: expectedOut,
+    profitUsd: plan.estProfitUSD,
+    notionalUsd: 1000,
+    routeTokens: planRouteTokens(plan)
+  });
+}
+
+test('a route through a flagged token is blocked', async () => {
+  writeVerdicts({ [SCAM.toLowerCase()]: { verdict: 'honeypot', reason: 'sell reverts', checkedAt: Date.now() } });
+  const res = await protect('flagged', SCAM);
+  assert.equal(res.ok, false);
+  assert.equal(res.reason, 'unsafeToken');
+  assert.deepEqual(res.details.unsafe.map(u => u.token.toLowerCase()), [SCAM.toLowerCase()]);
+});
+
+test('a verdict written after start-up is picked up', async () => {
+  const LATE = '0x00000000000000000000000000000000000Be1a7';
+  assert.equal((await protect('late-before', LATE)).ok, true);
+
+  writeVerdicts({
+    [SCAM.toLowerCase()]: { verdict: 'honeypot', reason: 'sell reverts', checkedAt: Date.now() },
+    [LATE.toLowerCase()]: { verdict: 'fee_on_transfer', transferTaxBps: 500, checkedAt: Date.now() }
+  });
+  const res = await protect('late-after', LATE);
+  assert.equal(res.ok, false);
+  assert.equal(res.reason, 'unsafeToken');
+});
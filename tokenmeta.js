@@ -0,0 +1,85 @@
+// tokenmeta.js — ERC-20 metadata cache (decimals, symbol) (ESM + Ethers v6)
+// Each token is read once through Multicall3 and persisted, since decimals and
+// symbols never change after deployment.
+
+import fs from 'node:fs';
+import { multicallEach } from './multicall.js';
+
+const TOKEN_META_FILE = './token_meta.json';
+
+const ERC20_META_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+// MKR-style tokens return symbol as bytes32
+const ERC20_SYMBOL_BYTES32_ABI = ['function symbol() view returns (bytes32)'];
+
+const META_CALLS = [
+  { abi: ERC20_META_ABI, method: 'decimals' },
+  { abi: ERC20_META_ABI, method: 'symbol' },
+  { abi: ERC20_SYMBOL_BYTES32_ABI, method: 'symbol' }
+];
+
+// lowercased address → { decimals: number, symbol: string }
+const cache = new Map();
+let diskLoaded = false;
+
+function loadFromDisk() {
+  if (diskLoaded) return;
+  diskLoaded = true;
+  try {
+    if (!fs.existsSync(TOKEN_META_FILE)) return;
+    const data = JSON.parse(fs.readFileSync(TOKEN_META_FILE, 'utf8'));
+    for (const [addr, meta] of Object.entries(data)) {
+      if (Number.isInteger(meta?.decimals)) cache.set(addr, { decimals: meta.decimals, symbol: meta.symbol || '' });
+    }
+  } catch (err) {
+    console.warn(`[tokenmeta] ${TOKEN_META_FILE} unreadable (${err.message}) — starting empty`);
+  }
+}
+
+function saveToDisk() {
+  const tmp = `${TOKEN_META_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(cache), null, 2));
+  fs.renameSync(tmp, TOKEN_META_FILE);
+}
+
+function decodeBytes32Symbol(b) {
+  return Buffer.from(b.slice(2), 'hex').toString('utf8').replace(/\0+$/, '');
+}
+
+/**
+ * Make sure metadata is cached for every token; only unseen tokens are read.
+ * Tokens whose decimals() reverts stay uncached (tokenDecimals() returns undefined).
+ * @param {ethers.Provider} provider
+ * @param {string[]} tokens
+ */
+export async function loadTokenMeta(provider, tokens, opts) {
+  loadFromDisk();
+  const missing = [...new Set(tokens.map(t => t.toLowerCase()))].filter(t => !cache.has(t));
+  if (!missing.length) return;
+
+  const rows = await multicallEach(provider, missing, META_CALLS, opts);
+  let added = 0;
+  rows.forEach(([decimals, symbol, symbol32], i) => {
+    if (decimals == null) return;
+    cache.set(missing[i], {
+      decimals: Number(decimals),
+      symbol: symbol ?? (symbol32 ? decodeBytes32Symbol(symbol32) : '')
+    });
+    added++;
+  });
+  console.log(`[tokenmeta] cached ${added}/${missing.length} new tokens`);
+  if (added) saveToDisk();
+}
+
+/** @returns {{ decimals: number, symbol: string } | undefined} */
+export function tokenMeta(addr) {
+  loadFromDisk();
+  return cache.get(addr.toLowerCase());
+}
+
+/** @returns {number | undefined} */
+export function tokenDecimals(addr) {
+  return tokenMeta(addr)?.decimals;
+}
@@ -0,0 +1,265 @@
+// tokensafety.js — fee-on-transfer / rebasing / honeypot token classifier (ESM + Ethers v6)
+// Each token is exercised with a single eth_call: Multicall3 is given a balance of a safe
+// base token through a state override, buys the token from a V2 pair, transfers part of it,
+// sells part back and records every balance along the way. Verdicts are persisted per token.
+
+import fs from 'node:fs';
+import { ethers } from 'ethers';
+import { MULTICALL3_ADDRESS } from './multicall.js';
+import { v2AmountOut } from './quoter.js';
+
+const TOKEN_SAFETY_FILE = './token_safety.json';
+const RECHECK_MS = 24 * 60 * 60 * 1000; // owners can switch taxes on later
+const DEFAULT_CONCURRENCY = 4;
+
+// Verdicts that keep a token out of scans and trades
+const FLAGGED_VERDICTS = new Set(['fee_on_transfer', 'rebasing', 'honeypot']);
+const TAX_TOLERANCE_BPS = 1n; // V2 math is exact, anything above rounding is a tax
+
+const PROBE_SIZE_DIVISOR = 1_000n;     // buy 0.1% of the base reserve
+const PROBE_RECIPIENT = '0x000000000000000000000000000000000000c0de';
+const MAX_BALANCE_SLOT = 30;           // mapping slots tried when locating balanceOf storage
+const SLOT_MARKER = 10n ** 30n;        // probe balance = SLOT_MARKER + candidate index
+
+const ERC20_IFACE = new ethers.Interface([
+  'function balanceOf(address) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+]);
+const PAIR_IFACE = new ethers.Interface([
+  'function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes data)'
+]);
+const MULTICALL3_IFACE = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+const lower = (a) => a.toLowerCase();
+const word = (v) => ethers.toBeHex(v, 32);
+
+// lowercased address → { verdict, reason, buyTaxBps, transferTaxBps, sellTaxBps, pool, checkedAt }
+const cache = new Map();
+let diskStamp = null; // mtime:size of the file as last read or written
+
+const fileStamp = () => {
+  try {
+    const st = fs.statSync(TOKEN_SAFETY_FILE);
+    return `${st.mtimeMs}:${st.size}`;
+  } catch {
+    return null;
+  }
+};
+
+// Re-read whenever the file changed since we last saw it (another process — poolfetcher —
+// writes the verdicts the bot reads); the newer checkedAt wins per token
+function loadFromDisk() {
+  const stamp = fileStamp();
+  if (stamp === null || stamp === diskStamp) return;
+  diskStamp = stamp;
+  try {
+    const data = JSON.parse(fs.readFileSync(TOKEN_SAFETY_FILE, 'utf8'));
+    for (const [addr, v] of Object.entries(data)) {
+      if (v?.verdict && !((cache.get(addr)?.checkedAt || 0) > (v.checkedAt || 0))) cache.set(addr, v);
+    }
+  } catch (err) {
+    console.warn(`[tokensafety] ${TOKEN_SAFETY_FILE} unreadable (${err.message}) — keeping cached verdicts`);
+  }
+}
+
+function saveToDisk() {
+  loadFromDisk(); // keep verdicts another process wrote meanwhile
+  const tmp = `${TOKEN_SAFETY_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(cache), null, 2));
+  fs.renameSync(tmp, TOKEN_SAFETY_FILE);
+  diskStamp = fileStamp();
+}
+
+// ---------- STATE-OVERRIDE CALLS ----------
+
+function ethCall(provider, to, data, overrides) {
+  return provider.send('eth_call', [{ to, data }, 'latest', overrides || {}]);
+}
+
+async function balanceOf(provider, token, holder, overrides) {
+  const raw = await ethCall(provider, token, ERC20_IFACE.encodeFunctionData('balanceOf', [holder]), overrides);
+  return ERC20_IFACE.decodeFunctionResult('balanceOf', raw)[0];
+}
+
+// Solidity mappings hash (key, slot); Vyper hashes (slot, key)
+function balanceSlotKey(holder, slot, vyper) {
+  return ethers.keccak256(vyper
+    ? ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'address'], [slot, holder])
+    : ethers.AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [holder, slot]));
+}
+
+/**
+ * Locate the storage word holding `holder`'s balance by writing a distinct marker
+ * into every candidate slot at once and reading balanceOf back.
+ * @returns {Promise<{ key: string } | { rebasing: true } | null>}
+ *   rebasing: balanceOf moved but is not the stored value (shares-based accounting)
+ */
+async function findBalanceSlot(provider, token, holder) {
+  const stateDiff = {};
+  for (let s = 0; s < MAX_BALANCE_SLOT; s++) {
+    stateDiff[balanceSlotKey(holder, s, false)] = word(SLOT_MARKER + BigInt(s));
+    stateDiff[balanceSlotKey(holder, s, true)] = word(SLOT_MARKER + BigInt(MAX_BALANCE_SLOT + s));
+  }
+  const probed = await balanceOf(provider, token, holder, { [token]: { stateDiff } });
+  const idx = probed - SLOT_MARKER;
+  if (idx >= 0n && idx < BigInt(2 * MAX_BALANCE_SLOT)) {
+    const n = Number(idx);
+    return { key: balanceSlotKey(holder, n % MAX_BALANCE_SLOT, n >= MAX_BALANCE_SLOT) };
+  }
+  const actual = await balanceOf(provider, token, holder);
+  return probed !== actual ? { rebasing: true } : null;
+}
+
+// Base tokens are probed once per process
+const baseSlots = new Map();
+async function baseBalanceSlot(provider, base) {
+  if (!baseSlots.has(lower(base))) baseSlots.set(lower(base), await findBalanceSlot(provider, base, MULTICALL3_ADDRESS));
+  return baseSlots.get(lower(base));
+}
+
+const taxBps = (sent, received) => (sent > 0n ? ((sent - received) * 10_000n) / sent : 0n);
+
+// ---------- CLASSIFICATION ----------
+
+// Deepest V2 pair against a base token: the one the round-trip trades through
+function pickProbePool(token, pools, bases) {
+  let best = null;
+  let bestReserve = 0n;
+  for (const p of pools) {
+    if (p.kind !== 'v2') continue;
+    const tokenIsZero = lower(p.token0) === token;
+    if (!tokenIsZero && lower(p.token1) !== token) continue;
+    const base = tokenIsZero ? p.token1 : p.token0;
+    if (!bases.has(lower(base))) continue;
+    const baseReserve = BigInt((tokenIsZero ? p.reserve1 : p.reserve0) || 0);
+    if (baseReserve > bestReserve) { best = p; bestReserve = baseReserve; }
+  }
+  return best;
+}
+
+/**
+ * Buy → transfer → sell round-trip through `pool` inside one Multicall3 eth_call.
+ * The sell leg asks for the output of half the tokens sent, so only a blocked
+ * sell (not a sell tax) makes it revert; the tax itself is read from balances.
+ */
+async function roundTrip(provider, token, pool) {
+  const tokenIsZero = lower(pool.token0) === token;
+  const base = tokenIsZero ? pool.token1 : pool.token0;
+  const [rBase, rToken] = tokenIsZero
+    ? [BigInt(pool.reserve1), BigInt(pool.reserve0)]
+    : [BigInt(pool.reserve0), BigInt(pool.reserve1)];
+
+  const slot = await baseBalanceSlot(provider, base);
+  if (!slot?.key) return { verdict: 'unknown', reason: `no balance slot for base ${base}` };
+
+  const baseIn = rBase / PROBE_SIZE_DIVISOR;
+  // Ask 1% under the quote so reserves that moved since they were read don't fail the buy
+  const quoted = v2AmountOut(baseIn, rBase, rToken, pool.feeBps);
+  const expectedBuy = quoted - quoted / 100n;
+  if (expectedBuy <= 0n) return { verdict: 'unknown', reason: 'probe size rounds to zero' };
+  const transferAmt = (expectedBuy * 2n) / 5n;
+  const sellAmt = (expectedBuy * 2n) / 5n;
+  const sellOut = v2AmountOut(sellAmt / 2n, rToken - quoted, rBase + baseIn, pool.feeBps);
+  if (sellOut <= 0n) return { verdict: 'unknown', reason: 'probe size rounds to zero' };
+  const buyOuts = tokenIsZero ? [expectedBuy, 0n] : [0n, expectedBuy];
+  const sellOuts = tokenIsZero ? [0n, sellOut] : [sellOut, 0n];
+
+  const call = (target, iface, method, args) => ({ target, allowFailure: true, callData: iface.encodeFunctionData(method, args) });
+  const calls = [
+    call(token, ERC20_IFACE, 'balanceOf', [MULTICALL3_ADDRESS]),                 // 0 held before
+    call(base, ERC20_IFACE, 'transfer', [pool.pairAddr, baseIn]),               // 1
+    call(pool.pairAddr, PAIR_IFACE, 'swap', [...buyOuts, MULTICALL3_ADDRESS, '0x']),       // 2 buy
+    call(token, ERC20_IFACE, 'balanceOf', [MULTICALL3_ADDRESS]),                 // 3 held after buy
+    call(token, ERC20_IFACE, 'balanceOf', [PROBE_RECIPIENT]),                    // 4
+    call(token, ERC20_IFACE, 'transfer', [PROBE_RECIPIENT, transferAmt]),        // 5 wallet transfer
+    call(token, ERC20_IFACE, 'balanceOf', [PROBE_RECIPIENT]),                    // 6
+    call(token, ERC20_IFACE, 'balanceOf', [pool.pairAddr]),                      // 7
+    call(token, ERC20_IFACE, 'transfer', [pool.pairAddr, sellAmt]),              // 8 sell transfer
+    call(token, ERC20_IFACE, 'balanceOf', [pool.pairAddr]),                      // 9
+    call(pool.pairAddr, PAIR_IFACE, 'swap', [...sellOuts, MULTICALL3_ADDRESS, '0x'])       // 10 sell
+  ];
+  const overrides = { [base]: { stateDiff: { [slot.key]: word(baseIn) } } };
+  const raw = await ethCall(provider, MULTICALL3_ADDRESS, MULTICALL3_IFACE.encodeFunctionData('aggregate3', [calls]), overrides);
+  const res = MULTICALL3_IFACE.decodeFunctionResult('aggregate3', raw)[0];
+  const uint = (i) => (res[i].success ? ERC20_IFACE.decodeFunctionResult('balanceOf', res[i].returnData)[0] : null);
+
+  if (!res[1].success) return { verdict: 'unknown', reason: 'base transfer reverted' };
+  if (!res[2].success) return { verdict: 'honeypot', reason: 'buy reverted' };
+  if (!res[5].success) return { verdict: 'honeypot', reason: 'transfer reverted' };
+  if (!res[8].success) return { verdict: 'honeypot', reason: 'sell transfer reverted' };
+  if (!res[10].success) return { verdict: 'honeypot', reason: 'sell swap reverted' };
+
+  const bals = [0, 3, 4, 6, 7, 9].map(uint);
+  if (bals.includes(null)) return { verdict: 'unknown', reason: 'balanceOf reverted' };
+  const buyTaxBps = taxBps(expectedBuy, uint(3) - uint(0));
+  const transferTaxBps = taxBps(transferAmt, uint(6) - uint(4));
+  const sellTaxBps = taxBps(sellAmt, uint(9) - uint(7));
+  const taxes = { buyTaxBps: Number(buyTaxBps), transferTaxBps: Number(transferTaxBps), sellTaxBps: Number(sellTaxBps) };
+  if ([buyTaxBps, transferTaxBps, sellTaxBps].some(t => t > TAX_TOLERANCE_BPS)) {
+    return { verdict: 'fee_on_transfer', reason: 'balance received below amount sent', ...taxes };
+  }
+  return { verdict: 'ok', ...taxes };
+}
+
+async function classifyToken(provider, token, pools, bases) {
+  const own = await findBalanceSlot(provider, token, MULTICALL3_ADDRESS);
+  if (own?.rebasing) return { verdict: 'rebasing', reason: 'balanceOf is not the stored balance' };
+
+  const pool = pickProbePool(token, pools, bases);
+  if (!pool) return { verdict: 'unknown', reason: 'no V2 pair against a base token' };
+  return { ...(await roundTrip(provider, token, pool)), pool: pool.pairAddr };
+}
+
+/**
+ * Classify every token without a fresh verdict; base tokens are trusted.
+ * A token whose probe errors is retried on the next call.
+ * @param {ethers.JsonRpcProvider} provider  must accept eth_call state overrides
+ * @param {string[]} tokens
+ * @param {object[]} pools       poolfetcher pool records (V2 pairs are used for the round-trip)
+ * @param {{ baseTokens: string[], recheckMs?: number, concurrency?: number }} opts
+ * @returns {Promise<string[]>} flagged tokens among `tokens` (lowercase)
+ */
+export async function classifyTokens(provider, tokens, pools, { baseTokens, recheckMs = RECHECK_MS, concurrency = DEFAULT_CONCURRENCY }) {
+  loadFromDisk();
+  const bases = new Set(baseTokens.map(lower));
+  const now = Date.now();
+  const todo = [...new Set(tokens.map(lower))].filter(t => {
+    if (bases.has(t)) return false;
+    const v = cache.get(t);
+    return !v || now - v.checkedAt > recheckMs;
+  });
+
+  if (todo.length) {
+    let next = 0;
+    let checked = 0;
+    const worker = async () => {
+      while (next < todo.length) {
+        const token = todo[next++];
+        try {
+          cache.set(token, { ...(await classifyToken(provider, token, pools, bases)), checkedAt: Date.now() });
+          checked++;
+        } catch (err) {
+          console.warn(`[tokensafety] ${token} probe failed: ${err?.shortMessage || err?.message || err}`);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, todo.length) }, worker));
+    console.log(`[tokensafety] classified ${checked}/${todo.length} tokens`);
+    if (checked) saveToDisk();
+  }
+
+  return tokens.map(lower).filter(isFlaggedToken);
+}
+
+/** @returns {{ verdict: string, reason?: string, buyTaxBps?: number, transferTaxBps?: number, sellTaxBps?: number } | undefined} */
+export function tokenVerdict(addr) {
+  loadFromDisk();
+  return cache.get(lower(addr));
+}
+
+/** True for fee-on-transfer, rebasing and honeypot tokens; unchecked and 'unknown' tokens pass. */
+export function isFlaggedToken(addr) {
+  return FLAGGED_VERDICTS.has(tokenVerdict(addr)?.verdict);
+}
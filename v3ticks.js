@@ -0,0 +1,126 @@
+// v3ticks.js — TickMath and initialized ticks around the current price of V3 / Algebra pools (ESM + Ethers v6)
+// Reads the tick bitmap words on each side of the current tick, then liquidityNet for every
+// initialized tick in them, so quoter.js can cross ticks instead of holding the in-range
+// liquidity constant. Nothing past the words read is known, and quotes stop at that bound.
+
+import { ethers } from 'ethers';
+import { multicall } from './multicall.js';
+
+export const TICK_WINDOW_WORDS = Number(process.env.TICK_WINDOW_WORDS || 2); // words per side
+
+export const MIN_TICK = -887272;
+export const MAX_TICK = 887272;
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+// TickMath.getSqrtRatioAtTick: sqrt(1.0001^tick) · 2^96, bit-exact with the pool contracts
+// (Kyber Elastic uses the same table)
+const TICK_RATIOS = [
+  0xfff97272373d413259a46990580e213an, 0xfff2e50f5f656932ef12357cf3c7fdccn,
+  0xffe5caca7e10e4e61c3624eaa0941cd0n, 0xffcb9843d60f6159c9db58835c926644n,
+  0xff973b41fa98c081472e6896dfb254c0n, 0xff2ea16466c96a3843ec78b326b52861n,
+  0xfe5dee046a99a2a811c461f1969c3053n, 0xfcbe86c7900a88aedcffc83b479aa3a4n,
+  0xf987a7253ac413176f2b074cf7815e54n, 0xf3392b0822b70005940c7a398e4b70f3n,
+  0xe7159475a2c29b7443b29c7fa6e889d9n, 0xd097f3bdfd2022b8845ad8f792aa5825n,
+  0xa9f746462d870fdf8a65dc1f90e061e5n, 0x70d869a156d2a1b890bb3df62baf32f7n,
+  0x31be135f97d08fd981231505542fcfa6n, 0x9aa508b5b7a84e1c677de54f3e99bc9n,
+  0x5d6af8dedb81196699c329225ee604n, 0x2216e584f5fa1ea926041bedfe98n,
+  0x48a170391f7dc42444e8fa2n
+];
+
+export function sqrtPriceAtTick(tick) {
+  const t = Math.min(MAX_TICK, Math.max(MIN_TICK, tick));
+  const abs = Math.abs(t);
+  let ratio = abs & 1 ? 0xfffcb933bd6fad37aa2d162d1a594001n : 2n ** 128n;
+  TICK_RATIOS.forEach((r, k) => {
+    if (abs & (2 << k)) ratio = (ratio * r) >> 128n;
+  });
+  if (t > 0) ratio = MAX_UINT256 / ratio;
+  return (ratio >> 32n) + (ratio % (1n << 32n) === 0n ? 0n : 1n);
+}
+
+// Algebra v1 keeps the same compressed-tick bitmap under another name
+const TICK_READS = {
+  v3: {
+    bitmap: 'tickBitmap',
+    iface: new ethers.Interface([
+      'function tickBitmap(int16 wordPosition) view returns (uint256)',
+      'function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet)'
+    ])
+  },
+  algebra: {
+    bitmap: 'tickTable',
+    iface: new ethers.Interface([
+      'function tickTable(int16 wordPosition) view returns (uint256)',
+      'function ticks(int24 tick) view returns (uint128 liquidityTotal, int128 liquidityDelta)'
+    ])
+  }
+};
+
+// Bitmap words [center - n, center + n] around the word holding the current tick
+function windowWords(pool, n) {
+  const spacing = Number(pool.tickSpacing);
+  if (!Number.isInteger(pool.tick) || !(spacing > 0)) return null;
+  const center = Math.floor(pool.tick / spacing) >> 8;
+  const words = [];
+  for (let w = center - n; w <= center + n; w++) words.push(w);
+  return words;
+}
+
+function setBits(word) {
+  const bits = [];
+  for (let b = 0; word > 0n; b++, word >>= 1n) if (word & 1n) bits.push(b);
+  return bits;
+}
+
+/**
+ * Attach `tickWindow: { lower, upper, ticks: [{ tick, liquidityNet }] }` (ticks ascending,
+ * lower/upper the first and last tick the bitmap words cover) to each pool, in place.
+ * Pools need pairAddr, tick and tickSpacing; one whose reads fail gets tickWindow = null.
+ * @param {ethers.Provider} provider
+ * @param {object[]} pools
+ * @param {'v3'|'algebra'} kind
+ * @param {{ words?: number, batchSize?: number, blockTag?: number|string }} [opts]
+ */
+export async function loadTickWindows(provider, pools, kind, { words = TICK_WINDOW_WORDS, ...opts } = {}) {
+  const { bitmap, iface } = TICK_READS[kind] || TICK_READS.v3;
+  const wordsOf = pools.map(p => windowWords(p, words));
+
+  const bitmapCalls = [];
+  pools.forEach((p, i) => wordsOf[i]?.forEach(w => bitmapCalls.push({ target: p.pairAddr, abi: iface, method: bitmap, args: [w] })));
+  const maps = await multicall(provider, bitmapCalls, opts);
+
+  let k = 0;
+  const initialized = pools.map((p, i) => {
+    if (!wordsOf[i]) return null;
+    const spacing = Number(p.tickSpacing);
+    const ticks = [];
+    let ok = true;
+    for (const w of wordsOf[i]) {
+      const word = maps[k++];
+      if (word == null) { ok = false; continue; }
+      for (const b of setBits(BigInt(word))) ticks.push((w * 256 + b) * spacing);
+    }
+    return ok ? ticks : null;
+  });
+
+  const tickCalls = [];
+  pools.forEach((p, i) => initialized[i]?.forEach(t => tickCalls.push({ target: p.pairAddr, abi: iface, method: 'ticks', args: [t] })));
+  const infos = tickCalls.length ? await multicall(provider, tickCalls, opts) : [];
+
+  k = 0;
+  pools.forEach((p, i) => {
+    if (!initialized[i]) { p.tickWindow = null; return; }
+    const spacing = Number(p.tickSpacing);
+    const ticks = [];
+    let ok = true;
+    for (const tick of initialized[i]) {
+      const info = infos[k++];
+      if (!info) { ok = false; continue; }
+      ticks.push({ tick, liquidityNet: BigInt(info[1]) });
+    }
+    const first = wordsOf[i][0];
+    const last = wordsOf[i][wordsOf[i].length - 1];
+    p.tickWindow = ok ? { lower: first * 256 * spacing, upper: (last * 256 + 255) * spacing, ticks } : null;
+  });
+  return pools;
+}